@@ -13,7 +13,7 @@ export default defineConfig([
       sourcemap: true,
       exports: 'named'
     },
-    external: ['axios', 'cheerio'],
+    external: ['axios', 'cheerio', 'fs', 'path'],
     plugins: [
       nodeResolve(),
       commonjs(),
@@ -29,7 +29,7 @@ export default defineConfig([
       format: 'esm',
       sourcemap: true
     },
-    external: ['axios', 'cheerio'],
+    external: ['axios', 'cheerio', 'fs', 'path'],
     plugins: [
       nodeResolve(),
       commonjs(),
@@ -0,0 +1,244 @@
+import { createAxiosFetcher } from './fetcher.js';
+import {
+    NotFoundError,
+    LoginRequiredError,
+    ParseError,
+    V2exError,
+    createHttpError,
+    normalizeRequestError
+} from './errors.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+
+/**
+ * 将API返回的Unix时间戳（秒）格式化为V2EX页面上的时间格式
+ * 例如: 2024-05-20 09:30:00 +08:00
+ * @param {number} seconds - Unix时间戳（秒）
+ * @returns {string} 格式化后的时间
+ */
+export function formatApiTime(seconds) {
+    if (!seconds) return '';
+
+    const date = new Date((Number(seconds) + 8 * 3600) * 1000);
+    const pad = value => String(value).padStart(2, '0');
+
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +08:00`;
+}
+
+/**
+ * V2EX官方API客户端
+ * v2接口需要个人访问令牌（Personal Access Token），v1公开接口不需要
+ * 返回API原始数据，转换为解析器结构由 V2exParser 完成
+ */
+class V2exApiClient {
+    /**
+     * @param {Object} options - 客户端选项
+     * @param {string} options.baseUrl - API所在域名
+     * @param {string} options.token - 个人访问令牌
+     * @param {number} options.timeout - 请求超时（毫秒）
+     * @param {Object} options.headers - 附加请求头
+     * @param {Function} options.fetcher - HTTP传输层，与 V2exParser 的 fetcher 约定一致
+     * @param {Object} options.rateLimiter - 限速器，与 V2exParser 共用时页面请求和API请求一起限速
+     * @param {Object|number|boolean} options.retry - 重试策略，格式与 V2exParser 的 retry 选项相同
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'https://www.v2ex.com';
+        this.token = options.token || '';
+        this.timeout = options.timeout || 10000;
+        this.headers = options.headers || {};
+        this.fetcher = options.fetcher || createAxiosFetcher();
+        this.rateLimiter = options.rateLimiter || null;
+        this.retryPolicy = resolveRetryPolicy(options.retry);
+    }
+
+    /**
+     * 是否配置了访问令牌
+     * @returns {boolean}
+     */
+    hasToken() {
+        return Boolean(this.token);
+    }
+
+    /**
+     * 请求API并返回解析后的JSON
+     * @param {string} path - 接口路径，如 /api/v2/topics/1
+     * @param {Object} options - 请求选项
+     * @param {boolean} options.auth - 是否携带访问令牌
+     * @param {number} options.timeout - 本次请求的超时（毫秒）
+     * @param {Object|number|boolean} options.retry - 本次请求的重试策略，覆盖客户端的设置
+     * @param {Object} options.retryStats - 累计重试次数的对象 { retries }
+     * @param {AbortSignal} options.signal - 中止信号
+     * @returns {Promise<Object>} JSON数据
+     */
+    async request(path, options = {}) {
+        const url = `${this.baseUrl}${path}`;
+        const policy = resolveRetryPolicy(options.retry, this.retryPolicy);
+
+        return withRetry(() => this.requestOnce(url, path, options), policy, {
+            url,
+            retryStats: options.retryStats,
+            signal: options.signal
+        });
+    }
+
+    /**
+     * 发出一次API请求，不重试
+     * @param {string} url - 完整的接口URL
+     * @param {string} path - 接口路径，用于错误信息
+     * @param {Object} options - 请求选项，与 request 相同
+     * @returns {Promise<Object>} JSON数据
+     */
+    async requestOnce(url, path, options = {}) {
+        const headers = {
+            ...this.headers,
+            'Accept': 'application/json'
+        };
+
+        if (options.auth !== false) {
+            if (!this.token) {
+                throw new LoginRequiredError(`访问 ${path} 需要提供V2EX个人访问令牌`, { url });
+            }
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        if (this.rateLimiter) {
+            await this.rateLimiter.acquire(url, { signal: options.signal });
+        }
+
+        let response;
+        try {
+            response = await this.fetcher(url, {
+                headers,
+                timeout: options.timeout || this.timeout,
+                signal: options.signal
+            });
+        } catch (error) {
+            throw normalizeRequestError(error, url);
+        }
+
+        if (this.rateLimiter) {
+            this.rateLimiter.record(url, response);
+        }
+
+        let data = response.data;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                data = null;
+            }
+        }
+
+        if (response.status < 200 || response.status >= 400) {
+            const message = data && data.message ? data.message : `状态码 ${response.status}`;
+            throw createHttpError(response.status, `V2EX API请求失败: ${message}`, {
+                url,
+                headers: response.headers
+            });
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new ParseError(`V2EX API返回了无效的JSON: ${url}`, { url, status: response.status });
+        }
+
+        // v2接口统一返回 { success, message, result }
+        if (data.success === false) {
+            throw new V2exError(`V2EX API请求失败: ${data.message || '未知错误'}`, {
+                url,
+                status: response.status
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * 获取令牌所属会员的资料（v2）
+     * @returns {Promise<Object>} 会员资料
+     */
+    async getCurrentMember(options = {}) {
+        const data = await this.request('/api/v2/member', options);
+        return data.result;
+    }
+
+    /**
+     * 获取指定会员的公开资料（v1公开接口）
+     * @param {string} username - 用户名
+     * @returns {Promise<Object>} 会员资料
+     */
+    async getMember(username, options = {}) {
+        const path = `/api/members/show.json?username=${encodeURIComponent(username)}`;
+        const data = await this.request(path, { ...options, auth: false });
+
+        if (data.status && data.status !== 'found') {
+            throw new NotFoundError(`V2EX API请求失败: 会员 ${username} 不存在`, {
+                url: `${this.baseUrl}${path}`,
+                status: 404
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * 获取最热主题（v1公开接口）
+     * @returns {Promise<Array<Object>>} 主题数组
+     */
+    async getHotTopics(options = {}) {
+        const data = await this.request('/api/topics/hot.json', { ...options, auth: false });
+        return Array.isArray(data) ? data : [];
+    }
+
+    /**
+     * 获取主题详情（v2）
+     * @param {string|number} topicId - 主题ID
+     * @returns {Promise<Object>} 主题详情
+     */
+    async getTopic(topicId, options = {}) {
+        const data = await this.request(`/api/v2/topics/${topicId}`, options);
+        return data.result;
+    }
+
+    /**
+     * 获取主题的一页回复（v2）
+     * @param {string|number} topicId - 主题ID
+     * @param {number} page - 页码，从1开始
+     * @returns {Promise<Object>} { replies, pagination }
+     */
+    async getTopicReplies(topicId, page = 1, options = {}) {
+        const data = await this.request(`/api/v2/topics/${topicId}/replies?p=${page}`, options);
+        return {
+            replies: data.result || [],
+            pagination: data.pagination || null
+        };
+    }
+
+    /**
+     * 获取节点下的一页主题（v2）
+     * @param {string} nodeName - 节点名
+     * @param {number} page - 页码，从1开始
+     * @returns {Promise<Object>} { topics, pagination }
+     */
+    async getNodeTopics(nodeName, page = 1, options = {}) {
+        const data = await this.request(`/api/v2/nodes/${encodeURIComponent(nodeName)}/topics?p=${page}`, options);
+        return {
+            topics: data.result || [],
+            pagination: data.pagination || null
+        };
+    }
+
+    /**
+     * 获取令牌所属会员的一页提醒（v2）
+     * @param {number} page - 页码，从1开始
+     * @returns {Promise<Object>} { notifications, pagination }
+     */
+    async getNotifications(page = 1, options = {}) {
+        const data = await this.request(`/api/v2/notifications?p=${page}`, options);
+        return {
+            notifications: data.result || [],
+            pagination: data.pagination || null
+        };
+    }
+}
+
+export default V2exApiClient;
@@ -0,0 +1,187 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * 批量任务的断点记录
+ *
+ * 记录已完成和失败的条目（用户名、页面URL、主题分页），任务中断后再次运行时
+ * 跳过已完成的条目，只重新处理失败和尚未处理的条目。
+ *
+ * 存储只需实现两个方法，可以换成数据库、Redis 等：
+ * - load()：返回之前保存的状态，没有时返回 null
+ * - save(state)：保存状态（普通的 JSON 对象）
+ */
+
+/**
+ * 基于 JSON 文件的断点存储（默认）
+ * 先写入临时文件再重命名，写到一半中断也不会损坏已有的记录
+ */
+export class FileCheckpointStore {
+    /**
+     * @param {string} filePath - JSON 文件路径，目录不存在时自动创建
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * 读取保存的状态
+     * @returns {Promise<Object|null>} 状态，文件不存在时返回 null
+     */
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * 保存状态
+     * @param {Object} state - 状态
+     */
+    async save(state) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+/**
+ * 保存在内存中的断点存储，用于测试或同一进程内多次运行
+ */
+export class MemoryCheckpointStore {
+    constructor() {
+        this.state = null;
+    }
+
+    async load() {
+        return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+    }
+
+    async save(state) {
+        this.state = JSON.parse(JSON.stringify(state));
+    }
+}
+
+/**
+ * 断点记录
+ * 条目的键带有类型前缀：user:用户名、url:页面URL、topic:主题ID:p页码
+ */
+export class Checkpoint {
+    /**
+     * @param {Object} store - 断点存储 { load, save }
+     */
+    constructor(store) {
+        this.store = store;
+        this.completed = {};
+        this.failed = {};
+        this.loaded = false;
+        // 保存按顺序进行，并发的条目不会互相覆盖
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * 读取之前保存的记录，只在第一次调用时读取
+     * @returns {Promise<Checkpoint>}
+     */
+    async load() {
+        if (this.loaded) return this;
+
+        const state = await this.store.load();
+        this.completed = (state && state.completed) || {};
+        this.failed = (state && state.failed) || {};
+        this.loaded = true;
+        return this;
+    }
+
+    /**
+     * 条目是否已经完成
+     * @param {string} key - 条目的键
+     * @returns {boolean}
+     */
+    isCompleted(key) {
+        return Object.prototype.hasOwnProperty.call(this.completed, key);
+    }
+
+    /**
+     * 记录条目完成，之前的失败记录一并清除
+     * @param {string} key - 条目的键
+     * @returns {Promise<void>}
+     */
+    markCompleted(key) {
+        this.completed[key] = new Date().toISOString();
+        delete this.failed[key];
+        return this.persist();
+    }
+
+    /**
+     * 记录条目失败，下次运行时重新处理
+     * @param {string} key - 条目的键
+     * @param {Error} error - 失败原因
+     * @returns {Promise<void>}
+     */
+    markFailed(key, error) {
+        const previous = this.failed[key];
+        this.failed[key] = {
+            error: error.message,
+            errorType: error.name,
+            status: error.status || null,
+            failures: previous ? previous.failures + 1 : 1,
+            time: new Date().toISOString()
+        };
+        return this.persist();
+    }
+
+    /**
+     * 失败的条目
+     * @returns {Array<string>} 条目的键
+     */
+    failedKeys() {
+        return Object.keys(this.failed);
+    }
+
+    /**
+     * 清除全部记录
+     * @returns {Promise<void>}
+     */
+    reset() {
+        this.completed = {};
+        this.failed = {};
+        return this.persist();
+    }
+
+    /**
+     * 保存当前记录
+     * @returns {Promise<void>}
+     */
+    persist() {
+        const state = {
+            version: 1,
+            updatedAt: new Date().toISOString(),
+            completed: this.completed,
+            failed: this.failed
+        };
+
+        // 上一次保存失败不影响这一次
+        this.saving = this.saving.catch(() => {}).then(() => this.store.save(state));
+        return this.saving;
+    }
+}
+
+/**
+ * 将 checkpoint 选项转换为断点记录
+ * @param {string|Object|Checkpoint} checkpoint - JSON 文件路径、断点存储 { load, save }，或 Checkpoint 实例
+ * @returns {Checkpoint|null} 断点记录，未提供时返回 null
+ */
+export function resolveCheckpoint(checkpoint) {
+    if (!checkpoint) return null;
+    if (checkpoint instanceof Checkpoint) return checkpoint;
+    if (typeof checkpoint === 'string') return new Checkpoint(new FileCheckpointStore(checkpoint));
+    if (typeof checkpoint.load === 'function' && typeof checkpoint.save === 'function') {
+        return new Checkpoint(checkpoint);
+    }
+    throw new Error('checkpoint 选项应为文件路径、{ load, save } 存储或 Checkpoint 实例');
+}
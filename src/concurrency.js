@@ -0,0 +1,96 @@
+/**
+ * 以有限的并发数处理数组中的每一项
+ * 结果数组与输入顺序一致，与完成先后无关
+ * 传入的 signal 中止后不再开始新的项，未开始的项在结果中为 undefined（已开始的项由 fn 自行响应中止）
+ * @param {Array} items - 待处理的数组
+ * @param {number} limit - 最大并发数
+ * @param {Function} fn - 处理函数 (item, index) => Promise<any>
+ * @param {Object} options - 选项
+ * @param {AbortSignal} options.signal - 中止信号
+ * @returns {Promise<Array>} 处理结果数组
+ */
+export async function mapWithConcurrency(items, limit, fn, options = {}) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length && !(options.signal && options.signal.aborted)) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+/**
+ * 以有限的并发数处理数组中的每一项，按完成先后逐个产出结果
+ * 产出 { index, value }，index 为该项在输入中的位置
+ * 完成的项空出的槽位等消费方取下一个结果时才补上，消费方用 break 停止迭代后不会多开始任何一项
+ * @param {Array} items - 待处理的数组
+ * @param {number} limit - 最大并发数
+ * @param {Function} fn - 处理函数 (item, index) => Promise<any>
+ * @param {Object} options - 选项
+ * @param {AbortSignal} options.signal - 中止信号，中止后不再开始新的项
+ * @returns {AsyncGenerator<Object>} { index, value }
+ */
+export async function* iterateWithConcurrency(items, limit, fn, options = {}) {
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+    const running = new Map();
+    let nextIndex = 0;
+
+    const canStart = () => nextIndex < items.length && !(options.signal && options.signal.aborted);
+    const start = () => {
+        const index = nextIndex++;
+        running.set(index, Promise.resolve()
+            .then(() => fn(items[index], index))
+            .then(value => ({ index, value }), error => ({ index, error })));
+    };
+
+    while (running.size < workerCount && canStart()) {
+        start();
+    }
+
+    while (running.size > 0) {
+        const settled = await Promise.race(running.values());
+        running.delete(settled.index);
+
+        if (settled.error) {
+            throw settled.error;
+        }
+        yield { index: settled.index, value: settled.value };
+
+        // 消费方取下一个结果时才补上空出的槽位，其他槽位的项在消费方处理结果时继续进行
+        if (canStart()) {
+            start();
+        }
+    }
+}
+
+/**
+ * 创建跟随外部信号的 AbortController
+ * 外部信号中止时它也中止；迭代器提前结束时可以单独中止它，不影响外部信号
+ * @param {AbortSignal} signal - 外部中止信号，可选
+ * @returns {Object} { controller, release }，release 移除对外部信号的监听
+ */
+export function createLinkedAbortController(signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+
+    if (signal) {
+        if (signal.aborted) {
+            abort();
+        } else {
+            signal.addEventListener('abort', abort, { once: true });
+        }
+    }
+
+    return {
+        controller,
+        release: () => {
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    };
+}
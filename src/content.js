@@ -0,0 +1,220 @@
+/**
+ * 主题与回复正文的结构化内容模型
+ *
+ * blocks：按顺序排列的内容块
+ * - { type: 'paragraph', text }
+ * - { type: 'heading', level, text }
+ * - { type: 'code', language, text }
+ * - { type: 'quote', text }
+ * - { type: 'list', ordered, items }
+ * - { type: 'image', src, alt }
+ *
+ * entities：正文中出现的内联实体
+ * - { type: 'mention', username, url }
+ * - { type: 'floor', floor, text }
+ * - { type: 'link', href, text }
+ * - { type: 'code', text }（行内代码）
+ */
+
+import { extractText } from './text.js';
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const CONTAINER_TAGS = new Set(['p', 'div', 'section', 'article', 'table', 'tbody', 'thead', 'tr', 'td', 'th', 'center']);
+
+// 楼层引用：#12，前面不能是字母数字（排除 URL 锚点和 HTML 实体）
+const FLOOR_PATTERN = /(^|[^0-9A-Za-z_&#/])#(\d{1,5})(?![0-9A-Za-z])/g;
+
+/**
+ * 将相对链接补全为绝对链接
+ * @param {string} href - 原始链接
+ * @param {string} baseUrl - 站点地址
+ * @returns {string}
+ */
+export function toAbsoluteUrl(href, baseUrl) {
+    if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) return href || '';
+    if (href.startsWith('//')) return `https:${href}`;
+    return baseUrl ? `${baseUrl}${href.startsWith('/') ? '' : '/'}${href}` : href;
+}
+
+/**
+ * 从链接中提取会员名，非会员链接返回 null
+ * @param {string} href - 链接
+ * @returns {string|null}
+ */
+function memberFromHref(href) {
+    const match = (href || '').match(/^(?:https?:\/\/(?:www\.)?v2ex\.com)?\/member\/([^\/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * 整理块文本：去掉行尾空白与首尾空行
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function cleanText(text) {
+    return text
+        .replace(/\u00a0/g, ' ')
+        .replace(/ {2,}/g, ' ')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n[ \t]+/g, '\n')
+        .trim();
+}
+
+/**
+ * 读取代码块的语言，支持 language-xxx、lang-xxx 以及 highlight.js 的 class 写法
+ * @param {Object} $ - cheerio对象
+ * @param {Object} pre - pre 元素
+ * @returns {string} 语言名，没有标注时为空字符串
+ */
+export function codeLanguage($, pre) {
+    const classNames = [$(pre).attr('class'), $(pre).find('code').first().attr('class')]
+        .filter(Boolean)
+        .join(' ')
+        .split(/\s+/);
+
+    for (const className of classNames) {
+        const match = className.match(/^(?:language|lang)-(.+)$/);
+        if (match) return match[1];
+    }
+
+    return '';
+}
+
+/**
+ * 按文档顺序生成内容块
+ * @param {Object} $ - cheerio对象
+ * @param {Object} element - 正文元素
+ * @returns {Array<Object>}
+ */
+function parseBlocks($, element) {
+    const blocks = [];
+    let paragraph = '';
+
+    const flush = () => {
+        const text = cleanText(paragraph);
+        if (text) {
+            blocks.push({ type: 'paragraph', text });
+        }
+        paragraph = '';
+    };
+
+    const walk = nodes => {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                // 源码中的换行和缩进不是内容的一部分
+                paragraph += node.data.replace(/[ \t\r\n\f]+/g, ' ');
+                continue;
+            }
+
+            if (node.type !== 'tag') continue;
+
+            const name = node.name.toLowerCase();
+
+            if (name === 'br') {
+                paragraph += '\n';
+            } else if (name === 'img') {
+                const src = $(node).attr('src');
+                if (src) {
+                    flush();
+                    blocks.push({ type: 'image', src, alt: $(node).attr('alt') || '' });
+                }
+            } else if (name === 'pre') {
+                flush();
+                blocks.push({ type: 'code', language: codeLanguage($, node), text: $(node).text().replace(/\n$/, '') });
+            } else if (name === 'blockquote') {
+                flush();
+                blocks.push({ type: 'quote', text: extractText($, node) });
+            } else if (HEADING_TAGS.has(name)) {
+                flush();
+                blocks.push({ type: 'heading', level: Number(name[1]), text: extractText($, node) });
+            } else if (name === 'ul' || name === 'ol') {
+                flush();
+                const items = $(node).children('li').toArray().map(li => extractText($, li)).filter(Boolean);
+                blocks.push({ type: 'list', ordered: name === 'ol', items });
+            } else if (name === 'hr') {
+                flush();
+            } else if (CONTAINER_TAGS.has(name)) {
+                flush();
+                walk(node.children || []);
+                flush();
+            } else {
+                // 行内元素（a、strong、code、span 等）只取文本，图片等子元素继续处理
+                walk(node.children || []);
+            }
+        }
+    };
+
+    walk($(element).contents().toArray());
+    flush();
+
+    return blocks;
+}
+
+/**
+ * 按文档顺序提取内联实体
+ * @param {Object} $ - cheerio对象
+ * @param {Object} element - 正文元素
+ * @param {string} baseUrl - 站点地址，用于补全相对链接
+ * @returns {Array<Object>}
+ */
+function parseEntities($, element, baseUrl) {
+    const entities = [];
+
+    const walk = nodes => {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                FLOOR_PATTERN.lastIndex = 0;
+                let match;
+                while ((match = FLOOR_PATTERN.exec(node.data)) !== null) {
+                    entities.push({ type: 'floor', floor: match[2], text: `#${match[2]}` });
+                }
+                continue;
+            }
+
+            if (node.type !== 'tag') continue;
+
+            const name = node.name.toLowerCase();
+            const $node = $(node);
+
+            if (name === 'a') {
+                const href = $node.attr('href') || '';
+                const username = memberFromHref(href);
+                if (username) {
+                    entities.push({ type: 'mention', username, url: toAbsoluteUrl(href, baseUrl) });
+                } else if (href && !href.startsWith('#')) {
+                    entities.push({ type: 'link', href: toAbsoluteUrl(href, baseUrl), text: $node.text().trim() });
+                }
+                // 链接文本中的 #数字 不是楼层引用
+            } else if (name === 'pre') {
+                // 代码块已经作为内容块输出，其中的文本不再识别实体
+            } else if (name === 'code') {
+                entities.push({ type: 'code', text: $node.text() });
+            } else {
+                walk(node.children || []);
+            }
+        }
+    };
+
+    walk($(element).contents().toArray());
+
+    return entities;
+}
+
+/**
+ * 将正文元素解析为结构化内容
+ * @param {Object} $ - cheerio对象
+ * @param {Object} element - 正文元素（.topic_content、.reply_content 等）
+ * @param {Object} options - 解析选项
+ * @param {string} options.baseUrl - 站点地址，用于补全相对链接
+ * @returns {Object} { blocks, entities }
+ */
+export function parseRichContent($, element, options = {}) {
+    if (!element || $(element).length === 0) {
+        return { blocks: [], entities: [] };
+    }
+
+    return {
+        blocks: parseBlocks($, element),
+        entities: parseEntities($, element, options.baseUrl || '')
+    };
+}
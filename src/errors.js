@@ -0,0 +1,263 @@
+/**
+ * 解析器错误基类
+ * 所有错误都带有出错的页面URL、HTTP状态码和原始错误
+ */
+export class V2exError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} options - 错误上下文
+     * @param {string} options.url - 出错的页面URL
+     * @param {number} options.status - HTTP状态码，没有响应时为 null
+     * @param {Error} options.cause - 原始错误
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
+        this.name = 'V2exError';
+        this.url = options.url || null;
+        this.status = options.status !== undefined ? options.status : null;
+    }
+}
+
+/**
+ * 页面不存在：已删除的主题、不存在的会员等（404）
+ */
+export class NotFoundError extends V2exError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * 请求过于频繁被限制：403/429 响应或V2EX的“访问过于频繁”页面
+ */
+export class RateLimitedError extends V2exError {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} options - 错误上下文，额外支持 retryAfter（毫秒）
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'RateLimitedError';
+        this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : null;
+    }
+}
+
+/**
+ * 需要登录才能访问：登录可见节点中的主题、无效的访问令牌等
+ */
+export class LoginRequiredError extends V2exError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'LoginRequiredError';
+    }
+}
+
+/**
+ * 登录会话已失效：带着 session 请求时页面显示为未登录状态
+ */
+export class SessionExpiredError extends LoginRequiredError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'SessionExpiredError';
+    }
+}
+
+/**
+ * 页面受限：受限节点中的主题、被封禁的会员等
+ * pageStatus 为页面状态（restricted 或 banned）
+ */
+export class RestrictedError extends V2exError {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} options - 错误上下文，额外支持 pageStatus
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'RestrictedError';
+        this.pageStatus = options.pageStatus || 'restricted';
+    }
+}
+
+/**
+ * 页面结构无法识别
+ */
+export class ParseError extends V2exError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ParseError';
+    }
+}
+
+/**
+ * 请求超时
+ */
+export class TimeoutError extends V2exError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * 网络错误：连接失败、DNS解析失败、连接被重置等没有拿到响应的请求失败
+ */
+export class NetworkError extends V2exError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * 调用方通过 AbortSignal 中止了请求或批量任务
+ * 批量任务中止时 partialResult 为已经完成的结果
+ */
+export class AbortError extends V2exError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {string|number} value - 秒数或HTTP日期
+ * @returns {number|null} 需要等待的毫秒数，无法解析时返回 null
+ */
+export function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 根据HTTP状态码创建对应类型的错误
+ * @param {number} status - HTTP状态码
+ * @param {string} message - 错误信息
+ * @param {Object} options - 错误上下文
+ * @param {string} options.url - 请求URL
+ * @param {Object} options.headers - 响应头，用于读取 Retry-After
+ * @returns {V2exError} 错误对象
+ */
+export function createHttpError(status, message, options = {}) {
+    const context = { url: options.url, status: status };
+
+    if (status === 404 || status === 410) {
+        return new NotFoundError(message, context);
+    }
+
+    if (status === 403 || status === 429) {
+        const headers = options.headers || {};
+        const retryAfter = parseRetryAfter(headers['retry-after'] || headers['Retry-After']);
+        return new RateLimitedError(message, { ...context, retryAfter });
+    }
+
+    if (status === 401) {
+        return new LoginRequiredError(message, context);
+    }
+
+    return new V2exError(message, context);
+}
+
+/**
+ * 根据页面状态创建对应类型的错误
+ * @param {string} pageStatus - 页面状态：login_required、not_found、restricted 或 banned
+ * @param {string} url - 页面URL
+ * @returns {V2exError} 错误对象
+ */
+export function createPageStateError(pageStatus, url) {
+    switch (pageStatus) {
+        case 'login_required':
+            return new LoginRequiredError(`页面需要登录后访问: ${url}`, { url });
+        case 'not_found':
+            return new NotFoundError(`页面不存在或已被删除: ${url}`, { url });
+        case 'banned':
+            return new RestrictedError(`会员已被封禁: ${url}`, { url, pageStatus });
+        default:
+            return new RestrictedError(`页面访问受限: ${url}`, { url, pageStatus });
+    }
+}
+
+/**
+ * 判断传输层抛出的错误是否为超时
+ * @param {Error} error - 传输层错误
+ * @returns {boolean}
+ */
+function isTimeoutError(error) {
+    return error.code === 'ECONNABORTED' ||
+        error.code === 'ETIMEDOUT' ||
+        error.name === 'TimeoutError' ||
+        /timeout|timed out/i.test(error.message || '');
+}
+
+/**
+ * 判断传输层抛出的错误是否因为请求被中止（AbortController 或 axios 的取消）
+ * @param {Error} error - 传输层错误
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+    return error.name === 'AbortError' ||
+        error.name === 'CanceledError' ||
+        error.code === 'ERR_CANCELED' ||
+        error.code === 'ABORT_ERR';
+}
+
+/**
+ * 将传输层抛出的错误转换为解析器错误
+ * @param {Error} error - 传输层错误
+ * @param {string} url - 请求URL
+ * @returns {V2exError} 错误对象
+ */
+export function normalizeRequestError(error, url) {
+    if (error instanceof V2exError) {
+        return error;
+    }
+
+    if (isAbortError(error)) {
+        return new AbortError(`请求已中止: ${url}`, { url, cause: error });
+    }
+
+    if (isTimeoutError(error)) {
+        return new TimeoutError(`请求超时: ${url}`, { url, cause: error });
+    }
+
+    return new NetworkError(`请求失败: ${error.message}`, { url, cause: error });
+}
+
+/**
+ * 为错误添加上下文说明，同时保留错误类型、URL和状态码
+ * @param {Error} error - 原始错误
+ * @param {string} message - 说明，如“解析V2EX页面失败”
+ * @returns {V2exError} 包装后的错误，cause 指向原始错误
+ */
+export function wrapError(error, message) {
+    const ErrorClass = error instanceof V2exError ? error.constructor : V2exError;
+    const wrapped = new ErrorClass(`${message}: ${error.message}`, {
+        url: error.url,
+        status: error.status,
+        retryAfter: error.retryAfter,
+        pageStatus: error.pageStatus,
+        cause: error
+    });
+
+    return wrapped;
+}
+
+/**
+ * 判断错误是否为永久性错误，重试也不会成功
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+export function isPermanentError(error) {
+    return error instanceof NotFoundError ||
+        error instanceof LoginRequiredError ||
+        error instanceof RestrictedError ||
+        error instanceof ParseError;
+}
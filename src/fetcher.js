@@ -0,0 +1,41 @@
+import axios from 'axios';
+
+/**
+ * 默认请求头
+ */
+export const DEFAULT_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8'
+};
+
+/**
+ * 创建基于axios的默认HTTP传输层
+ *
+ * fetcher 约定：`fetcher(url, { headers, timeout, signal })` 返回
+ * `{ url, status, headers, data }`。非2xx响应也应正常返回，
+ * 由解析器统一判断状态码，保证所有请求的错误行为一致。
+ * signal 为调用方传入的 AbortSignal，中止时应尽快以错误结束请求。
+ *
+ * @param {Object} axiosConfig - 额外的axios配置（如 proxy、httpsAgent）
+ * @returns {Function} fetcher函数
+ */
+export function createAxiosFetcher(axiosConfig = {}) {
+    const client = axios.create(axiosConfig);
+
+    return async (url, { headers = {}, timeout, signal } = {}) => {
+        const response = await client.get(url, {
+            headers,
+            timeout,
+            signal,
+            validateStatus: () => true
+        });
+
+        return {
+            url: response.request?.res?.responseUrl || url,
+            status: response.status,
+            headers: response.headers || {},
+            data: response.data
+        };
+    };
+}
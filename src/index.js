@@ -1,14 +1,347 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { createAxiosFetcher, DEFAULT_HEADERS } from './fetcher.js';
+import V2exApiClient, { formatApiTime } from './api-client.js';
+import { mapWithConcurrency, iterateWithConcurrency, createLinkedAbortController } from './concurrency.js';
+import { RateLimiter, resolveRateLimiter } from './rate-limiter.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+import { resolveLogger, createConsoleLogger, silentLogger } from './logger.js';
+import {
+    V2exError,
+    NotFoundError,
+    RateLimitedError,
+    LoginRequiredError,
+    SessionExpiredError,
+    RestrictedError,
+    ParseError,
+    TimeoutError,
+    NetworkError,
+    AbortError,
+    createHttpError,
+    createPageStateError,
+    normalizeRequestError,
+    wrapError
+} from './errors.js';
+import { CookieJar, createSession, detectLoggedInUser, hostnameOf, isSignedOutPage, isV2exHost } from './session.js';
+import { parseRichContent } from './content.js';
+import { htmlToMarkdown } from './markdown.js';
+import { extractText } from './text.js';
+import { buildReplyThreads } from './threads.js';
+import { Checkpoint, FileCheckpointStore, MemoryCheckpointStore, resolveCheckpoint } from './checkpoint.js';
+
+/**
+ * 页面提示文字与页面状态的对应关系，按顺序匹配
+ */
+const PAGE_STATE_PATTERNS = [
+    { status: 'login_required', pattern: /需要先?登录|请先登录|登录后(才能)?查看/ },
+    { status: 'not_found', pattern: /404|不存在|已经?被删除|未找到|Not Found/i },
+    { status: 'restricted', pattern: /无权|没有权限|无法访问|访问受限/ }
+];
+
+/**
+ * 会员资料中表示账号被封禁的提示文字
+ */
+const BANNED_PATTERN = /已被封禁|已被禁用|已被停用|has been banned/i;
 
 /**
  * V2EX解析器类
  * 支持解析用户信息页面和帖子页面
  */
 class V2exParser {
+    /**
+     * @param {Object} options - 解析器选项
+     * @param {string} options.baseUrl - 基础URL
+     * @param {Object} options.headers - 附加请求头，会覆盖默认请求头
+     * @param {number} options.timeout - 默认请求超时（毫秒）
+     * @param {Function} options.fetcher - 自定义HTTP传输层，签名为 (url, { headers, timeout }) => Promise<{ url, status, headers, data }>
+     * @param {string} options.mode - 数据来源：'scrape'（默认，解析HTML）或 'api'（使用官方API）
+     * @param {string} options.token - V2EX个人访问令牌，mode为'api'时使用
+     * @param {string} options.apiBaseUrl - API所在域名，默认与baseUrl相同
+     * @param {string|Object} options.session - 登录会话：A2 Cookie 值、Cookie 字符串、{ A2 } 对象或 Cookie 容器（如 tough-cookie 的 CookieJar）
+     * @param {Object|string|boolean} options.logger - 日志器：自定义 { debug, info, warn } 对象、控制台日志级别字符串，或 false 静默；默认输出 info 及以上级别到控制台
+     * @param {Object|boolean|RateLimiter} options.rateLimit - 按主机限速：{ requestsPerSecond, burst, baseDelay, maxDelay, jitter }、RateLimiter 实例（多个解析器共用），或 false 关闭；默认每秒1个请求
+     * @param {Object|number|boolean} options.retry - 请求失败时的重试策略：{ attempts, backoff, statuses, errors, onRetry }、总尝试次数，或 false 不重试；默认超时、网络错误、限速和 408/429/5xx 响应最多尝试3次
+     */
     constructor(options = {}) {
         // 设置默认域名
         this.baseUrl = options.baseUrl || 'https://v2ex.com';
+
+        // 请求头与超时
+        this.headers = { ...DEFAULT_HEADERS, ...(options.headers || {}) };
+        this.timeout = options.timeout || 10000;
+
+        // 日志器，库内所有输出都经过它
+        this.logger = resolveLogger(options.logger);
+
+        // HTTP传输层，所有页面请求都经过它
+        this.fetcher = options.fetcher || createAxiosFetcher();
+
+        // 按主机限速，页面请求与官方API请求共用
+        this.rateLimiter = resolveRateLimiter(options.rateLimit);
+
+        // 重试策略，页面请求与官方API请求共用，单次调用可以用 retry 选项覆盖
+        this.retryPolicy = resolveRetryPolicy(options.retry);
+
+        // 登录会话，Cookie 随每个页面请求发送
+        this.session = this.resolveSession(options.session);
+
+        // 官方API客户端，与页面请求共用同一个传输层
+        this.mode = options.mode || 'scrape';
+        this.apiBaseUrl = options.apiBaseUrl || null;
+        this.apiClient = new V2exApiClient({
+            baseUrl: this.apiBaseUrl || this.baseUrl,
+            token: options.token,
+            timeout: this.timeout,
+            headers: this.headers,
+            fetcher: this.fetcher,
+            rateLimiter: this.rateLimiter,
+            retry: this.retryPolicy
+        });
+    }
+
+    /**
+     * 判断本次调用是否使用官方API
+     * 只有 mode 为 'api' 且提供了令牌时才使用API，否则回退到解析HTML
+     * @param {Object} options - 解析选项
+     * @returns {boolean}
+     */
+    shouldUseApi(options = {}) {
+        const mode = options.mode || this.mode;
+        return mode === 'api' && this.apiClient.hasToken();
+    }
+
+    /**
+     * 通过传输层请求页面
+     * @param {string} url - 页面URL
+     * @param {Object} options - 请求选项
+     * @param {Object} options.headers - 本次请求的附加请求头
+     * @param {number} options.timeout - 本次请求的超时（毫秒）
+     * @param {string|Object} options.session - 本次请求使用的会话，格式与构造函数的 session 选项相同，默认使用解析器的会话
+     * @param {boolean} options.checkSession - 配置了会话时是否检查页面的登录状态，默认检查
+     * @param {Object|number|boolean} options.retry - 本次请求的重试策略，覆盖解析器的 retry 选项
+     * @param {Object} options.retryStats - 累计重试次数的对象 { retries }
+     * @param {AbortSignal} options.signal - 中止信号，中止后请求以 AbortError 结束且不再重试
+     * @returns {Promise<Object>} 响应对象 { url, status, headers, data }
+     */
+    async fetchPage(url, options = {}) {
+        options = this.withSession(options);
+        const policy = resolveRetryPolicy(options.retry, this.retryPolicy);
+
+        return withRetry(() => this.fetchPageOnce(url, options), policy, {
+            url,
+            retryStats: options.retryStats,
+            logger: this.logger,
+            signal: options.signal
+        });
+    }
+
+    /**
+     * 请求一次页面，不重试
+     * @param {string} url - 页面URL
+     * @param {Object} options - 请求选项，与 fetchPage 相同
+     * @returns {Promise<Object>} 响应对象 { url, status, headers, data }
+     */
+    async fetchPageOnce(url, options = {}) {
+        const headers = { ...this.headers, ...(options.headers || {}) };
+        // 登录Cookie只发往 V2EX，其他主机的页面不带会话，也不保存它们设置的Cookie
+        const session = this.isSessionUrl(url)
+            ? (options.session ? this.resolveSession(options.session) : this.session)
+            : null;
+        if (session) {
+            const cookie = await session.getCookieString(url);
+            if (cookie) {
+                headers['Cookie'] = cookie;
+            }
+        }
+
+        const waited = await this.rateLimiter.acquire(url, { signal: options.signal });
+        if (waited > 0) {
+            this.logger.debug(`⏳ 限速等待 ${waited}ms: ${url}`);
+        }
+
+        // 自定义限速器可能不支持 signal，等待结束后再检查一次
+        if (options.signal && options.signal.aborted) {
+            throw new AbortError(`请求已中止: ${url}`, { url });
+        }
+
+        let response;
+        try {
+            response = await this.fetcher(url, {
+                headers,
+                timeout: options.timeout || this.timeout,
+                signal: options.signal
+            });
+        } catch (error) {
+            throw normalizeRequestError(error, url);
+        }
+
+        if (!response || typeof response.status !== 'number') {
+            throw new V2exError(`传输层返回了无效的响应: ${url}`, { url });
+        }
+
+        // 429/403/5xx 时暂停该主机的后续请求
+        const pause = this.rateLimiter.record(url, response);
+        if (pause > 0) {
+            this.logger.warn(`⚠️ 状态码 ${response.status}，${pause}ms 内暂停请求: ${url}`);
+        }
+
+        if (session) {
+            await this.storeCookies(session, response, url);
+        }
+
+        if (response.status < 200 || response.status >= 400) {
+            throw createHttpError(response.status, `请求失败，状态码 ${response.status}: ${url}`, {
+                url,
+                headers: response.headers
+            });
+        }
+
+        // 需要登录的页面会被重定向到登录页
+        if (response.url && /\/signin(?:[?#]|$)/.test(response.url) && !/\/signin(?:[?#]|$)/.test(url)) {
+            if (session) {
+                throw new SessionExpiredError(`登录会话已失效: ${url}`, { url, status: response.status });
+            }
+            throw new LoginRequiredError(`页面需要登录后访问: ${url}`, { url, status: response.status });
+        }
+
+        if (typeof response.data === 'string' && this.isRateLimitPage(response.data)) {
+            const rateLimitPause = this.rateLimiter.pause(url);
+            this.logger.warn(`⚠️ 访问过于频繁，${rateLimitPause}ms 内暂停请求: ${url}`);
+            throw new RateLimitedError(`访问过于频繁，请稍后再试: ${url}`, { url, status: response.status });
+        }
+
+        // 带着会话请求却显示未登录，说明会话在抓取过程中失效了
+        if (session && options.checkSession !== false && typeof response.data === 'string' &&
+            isSignedOutPage(cheerio.load(response.data))) {
+            throw new SessionExpiredError(`登录会话已失效: ${url}`, { url, status: response.status });
+        }
+
+        return response;
+    }
+
+    /**
+     * 将响应中的 Set-Cookie 保存到会话
+     * @param {Object} session - Cookie容器
+     * @param {Object} response - 传输层响应
+     * @param {string} url - 请求URL
+     */
+    async storeCookies(session, response, url) {
+        const headers = response.headers || {};
+        const setCookie = headers['set-cookie'] || headers['Set-Cookie'];
+        if (!setCookie || typeof session.setCookie !== 'function') return;
+
+        for (const cookie of [].concat(setCookie)) {
+            await session.setCookie(cookie, url);
+        }
+    }
+
+    /**
+     * 设置登录会话
+     * @param {string|Object} session - 与构造函数的 session 选项相同，传入 null 清除会话
+     */
+    setSession(session) {
+        this.session = this.resolveSession(session);
+    }
+
+    /**
+     * 将 session 选项转换为Cookie容器，字符串和对象形式的Cookie属于 baseUrl 的域名
+     * @param {string|Object} session - 与构造函数的 session 选项相同
+     * @returns {Object|null} Cookie容器
+     */
+    resolveSession(session) {
+        return createSession(session, { domain: hostnameOf(this.baseUrl) });
+    }
+
+    /**
+     * 判断请求是否可以带上登录会话：只有 baseUrl 的主机和 V2EX 的域名可以
+     * @param {string} url - 请求URL
+     * @returns {boolean}
+     */
+    isSessionUrl(url) {
+        const host = hostnameOf(url);
+        return host === hostnameOf(this.baseUrl) || isV2exHost(host);
+    }
+
+    /**
+     * 检查登录会话是否有效
+     * 请求首页并从顶栏读取当前登录的用户名
+     * @param {Object} options - 请求选项
+     * @returns {Promise<Object>} { valid, username }
+     */
+    async checkSession(options = {}) {
+        if (!this.session) {
+            return { valid: false, username: null };
+        }
+
+        try {
+            const response = await this.fetchPage(`${this.baseUrl}/`, { ...options, checkSession: false });
+            const username = detectLoggedInUser(cheerio.load(response.data));
+
+            return { valid: Boolean(username), username };
+        } catch (error) {
+            if (error instanceof SessionExpiredError) {
+                return { valid: false, username: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 判断页面是否为V2EX的“访问过于频繁”提示页
+     * 正常的主题和回复中也可能出现这句话，因此只在页面没有主题或回复内容时才认定
+     * @param {string} html - 页面HTML
+     * @returns {boolean}
+     */
+    isRateLimitPage(html) {
+        if (!html.includes('访问过于频繁')) return false;
+
+        const $ = cheerio.load(html);
+        return $('.topic_content, .reply_content, .cell[id^="r_"], .item_title').length === 0;
+    }
+
+    /**
+     * 请求页面并加载为cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 请求选项
+     * @returns {Promise<Object>} cheerio对象
+     */
+    async loadPage(url, options = {}) {
+        const response = await this.fetchPage(url, options);
+        return cheerio.load(response.data);
+    }
+
+    /**
+     * 为一次解析调用准备会话
+     * 本次调用单独提供的 session 只转换一次，同一次调用的各个分页和重试共用这个Cookie容器，
+     * 前面的响应设置的Cookie（如轮换后的 A2、PB3_SESSION）后面的请求才能带上
+     * @param {Object} options - 解析选项
+     * @returns {Object} session 已转换为Cookie容器的解析选项
+     */
+    withSession(options = {}) {
+        if (!options.session) return options;
+
+        const session = this.resolveSession(options.session);
+        return session === options.session ? options : { ...options, session };
+    }
+
+    /**
+     * 为一次解析调用准备重试计数
+     * 调用方已经传入 retryStats 时（如批量解析）沿用它，重试次数累加到同一个对象
+     * @param {Object} options - 解析选项
+     * @returns {Object} 带有 retryStats 的解析选项
+     */
+    withRetryStats(options = {}) {
+        return options.retryStats ? options : { ...options, retryStats: { retries: 0 } };
+    }
+
+    /**
+     * 把本次调用的重试次数写入结果的 statistics.retries
+     * @param {Object} result - 解析结果
+     * @param {Object} options - 经过 withRetryStats 的解析选项
+     * @returns {Object} 解析结果
+     */
+    recordRetries(result, options) {
+        result.statistics = { ...(result.statistics || {}), retries: options.retryStats.retries };
+        return result;
     }
 
     /**
@@ -16,27 +349,136 @@ class V2exParser {
      * 自动识别是用户信息页面还是帖子页面
      * @param {string} url - V2EX页面URL
      * @param {Object} options - 解析选项
-     * @returns {Promise<Object>} 结构化的JSON数据
+     * @returns {Promise<Object>} 结构化的JSON数据，`statistics.retries` 为重试次数
      */
     async parseV2exPage(url, options = {}) {
+        options = this.withRetryStats(this.withSession(options));
+
         try {
-            const response = await axios.get(url, {
-                headers: this.headers,
-                timeout: options.timeout || 10000
-            });
+            const response = await this.fetchPage(url, options);
+            const result = await this.parseHtml(response.data, url, options);
+            return this.recordRetries(result, options);
+        } catch (error) {
+            throw wrapError(error, '解析V2EX页面失败');
+        }
+    }
 
-            const $ = cheerio.load(response.data);
+    /**
+     * 离线解析V2EX页面HTML
+     * 根据URL识别是用户信息页面还是帖子页面，不发起任何网络请求
+     * @param {string} html - 页面HTML
+     * @param {string} url - 页面URL，用于识别页面类型和提取ID
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 结构化的JSON数据
+     */
+    async parseHtml(html, url, options = {}) {
+        if (!url) {
+            throw new Error('离线解析需要提供页面URL以识别页面类型');
+        }
 
-            // 判断页面类型
-            if (url.includes('/member/')) {
-                return await this.parseUserInfoPage($, url, options);
-            } else if (url.includes('/t/')) {
-                return await this.parsePostPage($, url, options);
-            } else {
-                throw new Error('不支持的页面类型，请使用用户信息页面(/member/)或帖子页面(/t/)');
-            }
-        } catch (error) {
-            throw new Error(`解析V2EX页面失败: ${error.message}`);
+        if (/\/member\/[^\/?#]+\/topics/.test(url)) {
+            return await this.parseUserTopicsPage(cheerio.load(html), url, options);
+        } else if (/\/member\/[^\/?#]+\/replies/.test(url)) {
+            return await this.parseUserRepliesPage(cheerio.load(html), url, options);
+        } else if (url.includes('/member/')) {
+            return await this.parseUserHtml(html, { ...options, url });
+        } else if (url.includes('/t/')) {
+            return await this.parsePostHtml(html, { ...options, url });
+        } else if (url.includes('/go/')) {
+            return await this.parseNodeHtml(html, { ...options, url });
+        } else if (url.includes('/notifications')) {
+            return await this.parseNotificationsPage(cheerio.load(html), url, options);
+        } else if (url.includes('/recent') || /[?&]tab=/.test(url)) {
+            return await this.parseTopicListHtml(html, { ...options, url });
+        } else {
+            throw new ParseError('不支持的页面类型，请使用用户信息页面(/member/)、帖子页面(/t/)、节点页面(/go/)、首页标签(/?tab=)、最近主题(/recent)或提醒(/notifications)', { url });
+        }
+    }
+
+    /**
+     * 离线解析用户信息页面HTML
+     * @param {string} html - 页面HTML
+     * @param {Object} options - 解析选项
+     * @param {string} options.url - 页面URL，用于提取用户ID
+     * @returns {Promise<Object>} 用户信息JSON
+     */
+    async parseUserHtml(html, options = {}) {
+        const $ = cheerio.load(html);
+        return await this.parseUserInfoPage($, options.url || '', options);
+    }
+
+    /**
+     * 离线解析帖子页面HTML
+     * @param {string} html - 页面HTML
+     * @param {Object} options - 解析选项
+     * @param {string} options.url - 页面URL，用于提取帖子ID
+     * @returns {Promise<Object>} 帖子信息JSON
+     */
+    async parsePostHtml(html, options = {}) {
+        const $ = cheerio.load(html);
+        return await this.parsePostPage($, options.url || '', options);
+    }
+
+    /**
+     * 离线解析节点页面HTML
+     * @param {string} html - 页面HTML
+     * @param {Object} options - 解析选项
+     * @param {string} options.url - 页面URL，用于提取节点名
+     * @returns {Promise<Object>} 节点信息JSON
+     */
+    async parseNodeHtml(html, options = {}) {
+        const $ = cheerio.load(html);
+        return await this.parseNodePage($, options.url || '', options);
+    }
+
+    /**
+     * 离线解析主题列表页面HTML（首页标签页或最近主题）
+     * @param {string} html - 页面HTML
+     * @param {Object} options - 解析选项
+     * @param {string} options.url - 页面URL，用于识别列表类型
+     * @returns {Promise<Object>} 主题列表JSON
+     */
+    async parseTopicListHtml(html, options = {}) {
+        const $ = cheerio.load(html);
+        return await this.parseTopicListPage($, options.url || '', options);
+    }
+
+    /**
+     * 识别页面状态
+     * 登录墙、已删除的主题、受限页面和被封禁的会员分别返回对应状态，正常页面返回 'ok'
+     * 只在页面没有标题时读取提示文字，避免把主题或回复里的同样字句误判
+     * @param {Object} $ - cheerio对象
+     * @returns {string} ok | login_required | not_found | restricted | banned
+     */
+    detectPageState($) {
+        const $main = $('#Main');
+
+        if ($main.find('form[action^="/signin"]').length > 0) {
+            return 'login_required';
+        }
+
+        const $heading = $main.find('h1').first();
+        if ($heading.length > 0) {
+            // 被封禁的会员仍然显示用户名，提示位于资料栏中（排除用户自己填写的签名）
+            const $profile = $heading.closest('.cell').clone();
+            $profile.find('.bigger').remove();
+            return BANNED_PATTERN.test($profile.text()) ? 'banned' : 'ok';
+        }
+
+        const notice = $main.find('.box').first().text();
+        const matched = PAGE_STATE_PATTERNS.find(item => item.pattern.test(notice));
+        return matched ? matched.status : 'ok';
+    }
+
+    /**
+     * 页面状态不是 ok 时，根据 failOnUnavailable 选项抛出对应错误
+     * @param {string} pageStatus - detectPageState 返回的状态
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     */
+    assertPageAvailable(pageStatus, url, options = {}) {
+        if (pageStatus !== 'ok' && options.failOnUnavailable) {
+            throw createPageStateError(pageStatus, url);
         }
     }
 
@@ -45,9 +487,14 @@ class V2exParser {
      * @param {Object} $ - cheerio对象
      * @param {string} url - 页面URL
      * @param {Object} options - 解析选项
+     * @param {boolean} options.failOnUnavailable - 页面状态不是 ok 时抛出错误，而不是返回带状态的空结果
      * @returns {Object} 用户信息JSON
      */
     async parseUserInfoPage($, url, options = {}) {
+        // 识别登录墙、不存在或被封禁的会员
+        const status = this.detectPageState($);
+        this.assertPageAvailable(status, url, options);
+
         // 提取用户名
         const username = $('h1').first().text().trim();
 
@@ -100,41 +547,13 @@ class V2exParser {
         const solanaInfo = this.extractSolanaAddress($);
 
         // 提取最近回复
-        const recentReplies = [];
-        $('.dock_area').each((index, element) => {
-            const $el = $(element);
-            const timeText = $el.find('.fade').attr('title') || $el.find('.fade').text().trim();
-            // 提取回复内容（保持原始换行格式）
-            const replyContentElement = $el.next('.inner').find('.reply_content');
-            let replyText = '';
-            if (replyContentElement.length > 0) {
-                replyText = replyContentElement.html()
-                    .replace(/<br\s*\/?>/gi, '\n')
-                    .replace(/<[^>]*>/g, '')
-                    .replace(/&nbsp;/g, ' ')
-                    .replace(/&lt;/g, '<')
-                    .replace(/&gt;/g, '>')
-                    .replace(/&amp;/g, '&')
-                    .replace(/&quot;/g, '"')
-                    .trim();
-            }
-            const topicLink = $el.find('a[href*="/t/"]').attr('href');
-            const topicId = topicLink ? topicLink.match(/\/t\/(\d+)/)?.[1] : '';
-
-            if (replyText) {
-                recentReplies.push({
-                    time: timeText,
-                    content: replyText,
-                    topicId: topicId,
-                    topicUrl: topicId ? `${this.baseUrl}/t/${topicId}` : ''
-                });
-            }
-        });
+        const recentReplies = this.parseDockReplies($);
 
         // 构建用户信息JSON
         const userInfo = {
             type: 'user_info',
             url: url,
+            status: status,
             username: username,
             userId: userId,
             memberId: memberId,
@@ -154,157 +573,305 @@ class V2exParser {
     }
 
     /**
-     * 解析帖子页面
+     * 解析会员回复列表（个人页面的最近回复与 /member/xxx/replies 页面）
+     * 每条回复由 .dock_area（主题信息）和紧随其后的 .inner（回复内容）组成
      * @param {Object} $ - cheerio对象
-     * @param {string} url - 页面URL
-     * @param {Object} options - 解析选项
-     * @returns {Object} 帖子信息JSON
+     * @returns {Array<Object>} 回复数组
      */
-    async parsePostPage($, url, options = {}) {
-        // 提取帖子ID
-        const urlMatch = url.match(/\/t\/(\d+)/);
-        const postId = urlMatch ? urlMatch[1] : '';
-
-        // 提取帖子标题
-        const title = $('h1').first().text().trim();
-
-        // 提取发帖人信息
-        const authorElement = $('.header small.gray a[href*="/member/"]').first();
-        const authorName = authorElement.text().trim();
-        const authorId = authorElement.attr('href') ? authorElement.attr('href').replace('/member/', '') : '';
-        const authorAvatar = $('.header img.avatar').first().attr('src') || '';
-
-        // 提取发帖时间
-        const postTimeElement = $('.header .gray .ago, .header .gray span[title]');
-        const postTime = postTimeElement.attr('title') || postTimeElement.text().trim();
-
-        // 提取点击次数
-        const clickCountMatch = $('.header .gray').text().match(/(\d+) 次点击/);
-        const clickCount = clickCountMatch ? clickCountMatch[1] : '';
-
-        // 提取帖子内容（保持原始换行格式）
-        const contentElement = $('.topic_content').first();
-        let content = '';
-        if (contentElement.length > 0) {
-            content = contentElement.html()
-                .replace(/<br\s*\/?>/gi, '\n')  // 将 <br> 标签转换为换行符
-                .replace(/<[^>]*>/g, '')        // 移除其他HTML标签
-                .replace(/&nbsp;/g, ' ')        // 转换HTML实体
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&amp;/g, '&')
-                .replace(/&quot;/g, '"')
-                .trim();
-        }
-
-        // 提取标签
-        const tags = [];
-        $('.tag').each((index, element) => {
-            const tagText = $(element).text().trim();
-            if (tagText) {
-                tags.push(tagText);
-            }
-        });
-
-        // 提取回复人ID数组（从JavaScript代码中）
-        const replyUserIds = this.extractReplyUserIds($);
-
-        // 提取回复信息
+    parseDockReplies($) {
         const replies = [];
-        $('.cell[id^="r_"]').each((index, element) => {
-            const $el = $(element);
-            const replyId = $el.attr('id') ? $el.attr('id').replace('r_', '') : '';
 
-            // 提取回复人信息
-            const replyAuthorElement = $el.find('strong a.dark');
-            const replyAuthorName = replyAuthorElement.text().trim();
-            const replyAuthorId = replyAuthorElement.attr('href') ? replyAuthorElement.attr('href').replace('/member/', '') : '';
-            const replyAuthorAvatar = $el.find('img.avatar').attr('src') || '';
+        $('.dock_area').each((index, element) => {
+            const $el = $(element);
+            const timeText = $el.find('.fade').attr('title') || $el.find('.fade').text().trim();
 
             // 提取回复内容（保持原始换行格式）
-            const replyContentElement = $el.find('.reply_content');
-            let replyContent = '';
+            const replyContentElement = $el.next('.inner').find('.reply_content');
+            let replyText = '';
             let replyContentHtml = '';
-            let replyImages = [];
-
+            const replyImages = [];
             if (replyContentElement.length > 0) {
-                // 保存原始HTML内容
                 replyContentHtml = replyContentElement.html();
+                replyText = extractText($, replyContentElement.first());
 
-                // 提取图片信息
-                replyContentElement.find('img').each((index, imgElement) => {
-                    const $img = $(imgElement);
-                    const imgSrc = $img.attr('src');
-                    const imgAlt = $img.attr('alt') || '';
+                replyContentElement.find('img').each((imgIndex, imgElement) => {
+                    const imgSrc = $(imgElement).attr('src');
                     if (imgSrc) {
-                        replyImages.push({
-                            src: imgSrc,
-                            alt: imgAlt
-                        });
+                        replyImages.push({ src: imgSrc, alt: $(imgElement).attr('alt') || '' });
                     }
                 });
-
-                // 将HTML内容转换为文本，但保持换行符
-                replyContent = replyContentHtml
-                    .replace(/<br\s*\/?>/gi, '\n')  // 将 <br> 标签转换为换行符
-                    .replace(/<[^>]*>/g, '')        // 移除其他HTML标签
-                    .replace(/&nbsp;/g, ' ')        // 转换HTML实体
-                    .replace(/&lt;/g, '<')
-                    .replace(/&gt;/g, '>')
-                    .replace(/&amp;/g, '&')
-                    .replace(/&quot;/g, '"')
-                    .trim();
             }
 
-            // 提取回复时间
-            const replyTime = $el.find('.ago').attr('title') || $el.find('.ago').text().trim();
-
-            // 提取回复楼层
-            const replyFloor = $el.find('.no').text().trim();
-
-            // 提取回复设备信息
-            const deviceInfo = $el.find('.ago').text().trim();
-            const deviceMatch = deviceInfo.match(/via (.+)$/);
-            const device = deviceMatch ? deviceMatch[1] : '';
-
-            // 提取回复中的Solana地址和域名
-            const solanaInfo = this.extractSolanaAddressesFromText(replyContent);
+            // 提取主题信息
+            const $topicLink = $el.find('a[href*="/t/"]').first();
+            const topicLink = $topicLink.attr('href');
+            const topicId = topicLink ? topicLink.match(/\/t\/(\d+)/)?.[1] : '';
+            const $node = $el.find('a[href^="/go/"]').first();
+            const topicAuthor = $el.find('a[href^="/member/"]').first().text().trim();
 
-            // 修改条件：即使内容为空，如果有图片也应该包含这个回复
-            if (replyContent || replyImages.length > 0) {
+            // 即使内容为空，如果有图片也应该包含这个回复
+            if (replyText || replyImages.length > 0) {
                 replies.push({
-                    id: replyId,
-                    floor: replyFloor,
-                    author: {
-                        name: replyAuthorName,
-                        id: replyAuthorId,
-                        avatar: replyAuthorAvatar
-                    },
-                    content: replyContent,
+                    time: timeText,
+                    content: replyText,
                     contentHtml: replyContentHtml,
                     images: replyImages,
-                    time: replyTime,
-                    device: device,
-                    solanaAddresses: solanaInfo.solanaAddresses,
-                    solanaDomains: solanaInfo.solanaDomains
+                    topicId: topicId,
+                    topicUrl: topicId ? `${this.baseUrl}/t/${topicId}` : '',
+                    topicTitle: $topicLink.text().trim(),
+                    topicAuthor: topicAuthor,
+                    node: $node.length > 0
+                        ? { name: ($node.attr('href') || '').replace('/go/', ''), title: $node.text().trim() }
+                        : null
                 });
             }
         });
 
-        // 构建帖子信息JSON
-        const postInfo = {
-            type: 'post',
+        return replies;
+    }
+
+    /**
+     * 解析会员主题列表页面（/member/xxx/topics）
+     * @param {Object} $ - cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @returns {Object} 会员主题列表JSON
+     */
+    async parseUserTopicsPage($, url, options = {}) {
+        const urlMatch = url.match(/\/member\/([^\/?#]+)/);
+        const topics = this.parseTopicList($);
+
+        return {
+            type: 'member_topics',
             url: url,
-            postId: postId,
+            username: urlMatch ? urlMatch[1] : '',
+            topics: topics,
+            pagination: this.detectPagination($),
+            statistics: {
+                topicCount: topics.length
+            },
+            parsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 解析会员回复列表页面（/member/xxx/replies）
+     * @param {Object} $ - cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @returns {Object} 会员回复列表JSON
+     */
+    async parseUserRepliesPage($, url, options = {}) {
+        const urlMatch = url.match(/\/member\/([^\/?#]+)/);
+        const replies = this.parseDockReplies($);
+
+        return {
+            type: 'member_replies',
+            url: url,
+            username: urlMatch ? urlMatch[1] : '',
+            replies: replies,
+            pagination: this.detectPagination($),
+            statistics: {
+                replyCount: replies.length
+            },
+            parsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 解析提醒页面（/notifications）
+     * @param {Object} $ - cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @returns {Object} 提醒列表JSON
+     */
+    async parseNotificationsPage($, url, options = {}) {
+        const notifications = this.parseNotificationItems($);
+        const totalMatch = $('#Main .box').first().find('.cell').first().text().match(/总共收到提醒\s*(\d+)/);
+
+        return {
+            type: 'notifications',
+            url: url,
+            username: detectLoggedInUser($) || '',
+            totalCount: totalMatch ? totalMatch[1] : '',
+            notifications: notifications,
+            pagination: this.detectPagination($),
+            statistics: {
+                notificationCount: notifications.length
+            },
+            parsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 解析提醒列表中的每条提醒
+     * 每条提醒是一个 id 为 n_xxx 的 .cell，.fade 中是事件描述，.payload 中是回复摘要
+     * @param {Object} $ - cheerio对象
+     * @returns {Array<Object>} 提醒数组
+     */
+    parseNotificationItems($) {
+        const notifications = [];
+
+        // 事件描述与提醒类型的对应关系
+        const types = [
+            { type: 'mention', pattern: /提到了你/ },
+            { type: 'thank', pattern: /感谢了你/ },
+            { type: 'favorite', pattern: /收藏了你/ },
+            { type: 'reply', pattern: /回复了你/ }
+        ];
+
+        $('.cell[id^="n_"]').each((index, element) => {
+            const $el = $(element);
+            const $fade = $el.find('.fade').first();
+            const description = $fade.text().replace(/\s+/g, ' ').trim();
+            const matchedType = types.find(item => item.pattern.test(description));
+
+            // 触发提醒的会员
+            const $actor = $fade.find('a[href^="/member/"]').first();
+            const actorName = $actor.text().trim();
+
+            // 相关主题，回复类提醒的链接带有 #replyN
+            const $topicLink = $fade.find('a[href*="/t/"]').first();
+            const topicLink = $topicLink.attr('href') || '';
+            const topicId = topicLink.match(/\/t\/(\d+)/)?.[1] || '';
+            const floor = topicLink.match(/#reply(\d+)/)?.[1] || '';
+
+            // 回复摘要（保持原始换行格式）
+            const $payload = $el.find('.payload').first();
+            const excerptHtml = $payload.length > 0 ? $payload.html() : '';
+
+            const $time = $el.find('.snow[title]').first();
+
+            notifications.push({
+                id: ($el.attr('id') || '').replace('n_', ''),
+                type: matchedType ? matchedType.type : 'other',
+                actor: {
+                    name: actorName,
+                    avatar: $el.find('img.avatar').first().attr('src') || ''
+                },
+                topicId: topicId,
+                topicTitle: $topicLink.text().trim(),
+                topicUrl: topicId ? `${this.baseUrl}/t/${topicId}` : '',
+                floor: floor,
+                description: description,
+                excerpt: extractText($, $payload),
+                excerptHtml: excerptHtml,
+                time: $time.attr('title') || '',
+                timeText: $time.text().trim()
+            });
+        });
+
+        return notifications;
+    }
+
+    /**
+     * 解析帖子页面
+     * @param {Object} $ - cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @param {boolean} options.failOnUnavailable - 页面状态不是 ok 时抛出错误，而不是返回带状态的空结果
+     * @param {string} options.format - 设为 'markdown' 时主题、附言和回复额外输出 contentMarkdown
+     * @param {boolean} options.threads - 还原回复的对话关系，输出 replyTo、threads 和 interactions
+     * @returns {Object} 帖子信息JSON
+     */
+    async parsePostPage($, url, options = {}) {
+        // 提取帖子ID
+        const urlMatch = url.match(/\/t\/(\d+)/);
+        const postId = urlMatch ? urlMatch[1] : '';
+
+        // 识别登录墙、已删除或受限的主题
+        const status = this.detectPageState($);
+        this.assertPageAvailable(status, url, options);
+
+        // 提取帖子标题
+        const title = $('h1').first().text().trim();
+
+        // 从面包屑提取所属节点，与主题列表的节点结构相同（name 为节点名，可直接传给 parseNode），slug 与 name 相同
+        const $node = $('.header a[href^="/go/"]').first();
+        const nodeName = ($node.attr('href') || '').replace('/go/', '');
+        const node = $node.length > 0
+            ? { name: nodeName, title: $node.text().trim(), slug: nodeName }
+            : null;
+
+        // 提取发帖人信息
+        const authorElement = $('.header small.gray a[href*="/member/"]').first();
+        const authorName = authorElement.text().trim();
+        const authorId = authorElement.attr('href') ? authorElement.attr('href').replace('/member/', '') : '';
+        const authorAvatar = $('.header img.avatar').first().attr('src') || '';
+
+        // 提取发帖时间
+        const postTimeElement = $('.header .gray .ago, .header .gray span[title]');
+        const postTime = postTimeElement.attr('title') || postTimeElement.text().trim();
+
+        // 提取点击次数
+        const clickCountMatch = $('.header .gray').text().match(/(\d+) 次点击/);
+        const clickCount = clickCountMatch ? clickCountMatch[1] : '';
+
+        // 提取收藏与感谢次数（没有人收藏或感谢时页面不显示）
+        const statsText = $('.topic_stats').text();
+        const favoriteCountMatch = statsText.match(/(\d+) 人收藏/);
+        const thankCountMatch = statsText.match(/(\d+) 人感谢/);
+        const favoriteCount = favoriteCountMatch ? favoriteCountMatch[1] : '0';
+        const thankCount = thankCountMatch ? thankCountMatch[1] : '0';
+
+        // 提取最后编辑时间
+        const lastEdited = this.parseLastEdited($);
+
+        // 提取帖子内容（保持原始换行格式），附言中的 .topic_content 不属于正文
+        const contentElement = $('.topic_content').not('.subtle .topic_content').first();
+        const content = extractText($, contentElement);
+
+        // 提取帖子正文中的图片与结构化内容
+        const images = [];
+        contentElement.find('img').each((index, imgElement) => {
+            const imgSrc = $(imgElement).attr('src');
+            if (imgSrc) {
+                images.push({ src: imgSrc, alt: $(imgElement).attr('alt') || '' });
+            }
+        });
+        const richContent = parseRichContent($, contentElement, { baseUrl: this.baseUrl });
+
+        // 提取附言
+        const supplements = this.parseSupplements($, options);
+
+        // 提取标签
+        const tags = [];
+        $('.tag').each((index, element) => {
+            const tagText = $(element).text().trim();
+            if (tagText) {
+                tags.push(tagText);
+            }
+        });
+
+        // 提取回复人ID数组（从JavaScript代码中）
+        const replyUserIds = this.extractReplyUserIds($);
+
+        // 提取回复信息
+        const replies = this.parseRepliesFromPage($, options);
+
+        // 构建帖子信息JSON
+        const postInfo = {
+            type: 'post',
+            url: url,
+            status: status,
+            postId: postId,
             title: title,
+            node: node,
             author: {
                 name: authorName,
                 id: authorId,
                 avatar: authorAvatar
             },
             postTime: postTime,
+            lastEdited: lastEdited,
             clickCount: clickCount,
+            favoriteCount: favoriteCount,
+            thankCount: thankCount,
             content: content,
+            images: images,
+            blocks: richContent.blocks,
+            entities: richContent.entities,
+            supplements: supplements,
             tags: tags,
             replyUserIds: replyUserIds,
             replies: replies,
@@ -315,9 +882,207 @@ class V2exParser {
             parsedAt: new Date().toISOString()
         };
 
+        if (options.format === 'markdown') {
+            postInfo.contentMarkdown = htmlToMarkdown($, contentElement, { baseUrl: this.baseUrl });
+        }
+
+        if (options.threads) {
+            this.attachReplyThreads(postInfo);
+        }
+
+        return postInfo;
+    }
+
+    /**
+     * 根据 @会员 和 #楼层引用 还原回复的对话关系
+     * 每条回复增加 replyTo，帖子增加 threads（对话树）和 interactions（会员之间的回复关系）
+     * @param {Object} postInfo - 帖子信息，replies 需要按楼层排列
+     * @returns {Object} 同一个帖子信息对象
+     */
+    attachReplyThreads(postInfo) {
+        const { replyTo, threads, interactions } = buildReplyThreads(postInfo.replies);
+
+        postInfo.replies.forEach((reply, index) => {
+            reply.replyTo = replyTo[index];
+        });
+        postInfo.threads = threads;
+        postInfo.interactions = interactions;
+
         return postInfo;
     }
 
+    /**
+     * 从帖子头部提取最后编辑时间
+     * 编辑过的主题在发帖时间和点击次数之后显示“最后编辑于 xx”
+     * @param {Object} $ - cheerio对象
+     * @returns {Object|null} { time, timeText }，没有编辑过时返回 null
+     */
+    parseLastEdited($) {
+        let precedingText = '';
+
+        for (const node of $('.header small.gray').first().contents().toArray()) {
+            if (node.type === 'text') {
+                precedingText += node.data;
+                continue;
+            }
+
+            const $child = $(node);
+            if ($child.is('span[title]') && /编辑/.test(precedingText)) {
+                return { time: $child.attr('title'), timeText: $child.text().trim() };
+            }
+            precedingText = '';
+        }
+
+        return null;
+    }
+
+    /**
+     * 解析主题的附言
+     * 每条附言是一个 .subtle 块，.fade 中是“第 N 条附言 · 时间”，.topic_content 中是内容
+     * @param {Object} $ - cheerio对象
+     * @param {Object} options - 解析选项
+     * @param {string} options.format - 设为 'markdown' 时每条附言额外输出 contentMarkdown
+     * @returns {Array<Object>} 附言数组 [{ index, time, content, contentHtml }]
+     */
+    parseSupplements($, options = {}) {
+        const supplements = [];
+
+        $('.subtle').each((index, element) => {
+            const $el = $(element);
+            const $fade = $el.find('.fade').first();
+            const $time = $fade.find('span[title]').first();
+            const $content = $el.find('.topic_content').first();
+            const indexMatch = $fade.text().match(/第\s*(\d+)\s*条附言/);
+
+            const supplement = {
+                index: indexMatch ? Number(indexMatch[1]) : index + 1,
+                time: $time.attr('title') || $time.text().trim(),
+                content: extractText($, $content),
+                contentHtml: $content.length > 0 ? $content.html() : ''
+            };
+
+            if (options.format === 'markdown') {
+                supplement.contentMarkdown = htmlToMarkdown($, $content, { baseUrl: this.baseUrl });
+            }
+
+            supplements.push(supplement);
+        });
+
+        return supplements;
+    }
+
+    /**
+     * 解析页面中的全部回复
+     * 帖子第一页和 ?p=N 分页都使用同一个解析逻辑，保证回复结构一致
+     * @param {Object} $ - cheerio对象
+     * @param {Object} options - 解析选项
+     * @param {string} options.format - 设为 'markdown' 时每条回复额外输出 contentMarkdown
+     * @returns {Array<Object>} 回复数组
+     */
+    parseRepliesFromPage($, options = {}) {
+        const replies = [];
+        $('.cell[id^="r_"]').each((index, element) => {
+            const reply = this.parseReplyCell($, element, options);
+            if (reply) {
+                replies.push(reply);
+            }
+        });
+        return replies;
+    }
+
+    /**
+     * 解析单条回复
+     * @param {Object} $ - cheerio对象
+     * @param {Object} element - 回复所在的 .cell[id^="r_"] 元素
+     * @param {Object} options - 解析选项
+     * @param {string} options.format - 设为 'markdown' 时额外输出 contentMarkdown
+     * @returns {Object|null} 回复对象，没有内容也没有图片时返回null
+     */
+    parseReplyCell($, element, options = {}) {
+        const $el = $(element);
+        const replyId = $el.attr('id') ? $el.attr('id').replace('r_', '') : '';
+
+        // 提取回复人信息
+        const replyAuthorElement = $el.find('strong a.dark');
+        const replyAuthorName = replyAuthorElement.text().trim();
+        const replyAuthorId = replyAuthorElement.attr('href') ? replyAuthorElement.attr('href').replace('/member/', '') : '';
+        const replyAuthorAvatar = $el.find('img.avatar').attr('src') || '';
+
+        // 提取回复内容（保持原始换行格式）
+        const replyContentElement = $el.find('.reply_content');
+        let replyContent = '';
+        let replyContentHtml = '';
+        let replyImages = [];
+
+        if (replyContentElement.length > 0) {
+            // 保存原始HTML内容
+            replyContentHtml = replyContentElement.html();
+
+            // 提取图片信息
+            replyContentElement.find('img').each((index, imgElement) => {
+                const $img = $(imgElement);
+                const imgSrc = $img.attr('src');
+                const imgAlt = $img.attr('alt') || '';
+                if (imgSrc) {
+                    replyImages.push({
+                        src: imgSrc,
+                        alt: imgAlt
+                    });
+                }
+            });
+
+            // 将HTML内容转换为文本，但保持换行符
+            replyContent = extractText($, replyContentElement.first());
+        }
+
+        // 即使内容为空，如果有图片也应该包含这个回复
+        if (!replyContent && replyImages.length === 0) {
+            return null;
+        }
+
+        // 提取回复时间
+        const replyTime = $el.find('.ago').attr('title') || $el.find('.ago').text().trim();
+
+        // 提取回复楼层
+        const replyFloor = $el.find('.no').text().trim();
+
+        // 提取回复设备信息
+        const deviceInfo = $el.find('.ago').text().trim();
+        const deviceMatch = deviceInfo.match(/via (.+)$/);
+        const device = deviceMatch ? deviceMatch[1] : '';
+
+        // 提取回复中的Solana地址和域名
+        const solanaInfo = this.extractSolanaAddressesFromText(replyContent);
+
+        // 结构化内容：@会员、#楼层引用、链接、代码和图片
+        const richContent = parseRichContent($, replyContentElement.first(), { baseUrl: this.baseUrl });
+
+        const reply = {
+            id: replyId,
+            floor: replyFloor,
+            author: {
+                name: replyAuthorName,
+                id: replyAuthorId,
+                avatar: replyAuthorAvatar
+            },
+            content: replyContent,
+            contentHtml: replyContentHtml,
+            images: replyImages,
+            blocks: richContent.blocks,
+            entities: richContent.entities,
+            time: replyTime,
+            device: device,
+            solanaAddresses: solanaInfo.solanaAddresses,
+            solanaDomains: solanaInfo.solanaDomains
+        };
+
+        if (options.format === 'markdown') {
+            reply.contentMarkdown = htmlToMarkdown($, replyContentElement.first(), { baseUrl: this.baseUrl });
+        }
+
+        return reply;
+    }
+
     /**
      * 检测帖子的分页信息
      * @param {Object} $ - cheerio对象
@@ -351,178 +1116,665 @@ class V2exParser {
                 }
             });
 
-            // 查找当前页
-            const currentPageElement = $('.page_current');
-            if (currentPageElement.length > 0) {
-                pagination.currentPage = parseInt(currentPageElement.text().trim());
-            }
+            // 查找当前页（页面顶部和底部各有一组分页，只取第一个）
+            const currentPageElement = $('.page_current').first();
+            if (currentPageElement.length > 0) {
+                pagination.currentPage = parseInt(currentPageElement.text().trim());
+            }
+
+            // 计算总页数（当前页没有链接，也要计入）
+            if (pagination.pageUrls.length > 0) {
+                pagination.totalPages = Math.max(pagination.currentPage, ...pagination.pageUrls.map(p => p.page));
+            }
+        }
+
+        return pagination;
+    }
+
+    /**
+     * 抓取多页帖子的所有回复
+     * @param {string} postId - 帖子ID
+     * @param {Object} options - 解析选项
+     * @param {number} options.concurrency - 同时抓取的分页数，默认1
+     * @param {number} options.pageDelay - 每个并发槽位连续请求之间的额外等待时间（毫秒），默认0，请求速度由解析器的限速器控制
+     * @param {boolean} options.failOnPartial - 有分页抓取失败时抛出错误，而不是返回不完整的结果
+     * @param {boolean} options.threads - 合并全部分页后还原回复的对话关系
+     * @param {Object|number|boolean} options.retry - 本次调用的重试策略，覆盖解析器的 retry 选项
+     * @returns {Promise<Object>} 包含所有页面的完整帖子信息，`complete` 表示是否所有分页都抓取成功，`statistics.retries` 为重试次数
+     */
+    async parseMultiPagePost(postId, options = {}) {
+        options = this.withRetryStats(this.withSession(options));
+        const pageReplies = new Map();
+        const pagesFailed = [];
+        let postInfo = null;
+        let pagination = null;
+
+        // 分页的抓取由 iteratePostReplies 完成；这里要返回完整的帖子，不使用断点记录
+        for await (const page of this.iteratePostReplies(postId, { ...options, checkpoint: null })) {
+            options.retryStats.retries += page.retries;
+
+            if (page.post) {
+                postInfo = page.post;
+                pagination = page.pagination;
+                this.logger.debug(`📊 检测到分页信息: 共${pagination.totalPages}页`);
+            } else if (page.success) {
+                pageReplies.set(page.page, page.replies);
+            } else {
+                pagesFailed.push({
+                    page: page.page,
+                    url: page.url,
+                    status: page.status,
+                    error: page.error
+                });
+            }
+        }
+
+        // 按页码顺序合并回复，保证楼层顺序
+        pagesFailed.sort((a, b) => a.page - b.page);
+        const allReplies = [...pageReplies.keys()]
+            .sort((a, b) => a - b)
+            .reduce((replies, page) => replies.concat(pageReplies.get(page)), postInfo.replies);
+
+        // 从所有回复中提取唯一的回复人ID
+        const allReplyUserIds = new Set(postInfo.replyUserIds || []);
+        allReplies.forEach(reply => {
+            if (reply.author && reply.author.id) {
+                allReplyUserIds.add(reply.author.id);
+            }
+        });
+
+        // 更新统计信息
+        postInfo.replies = allReplies;
+        postInfo.replyUserIds = Array.from(allReplyUserIds);
+        postInfo.statistics.replyCount = allReplies.length;
+        postInfo.statistics.totalFloors = allReplies.length + 1;
+        postInfo.statistics.totalPages = pagination.totalPages;
+        postInfo.statistics.pagesFetched = pagination.totalPages - pagesFailed.length;
+        postInfo.statistics.retries = options.retryStats.retries;
+        postInfo.pagination = pagination;
+        postInfo.pagesFailed = pagesFailed;
+        postInfo.complete = pagesFailed.length === 0;
+
+        // 合并全部分页后重新还原对话关系，跨页的引用才能找到上级
+        if (options.threads) {
+            this.attachReplyThreads(postInfo);
+        }
+
+        this.logger.info(`✅ 多页抓取完成: 共${allReplies.length}条回复，${postInfo.statistics.pagesFetched}/${pagination.totalPages}页，${postInfo.replyUserIds.length}个唯一回复人ID`);
+
+        if (!postInfo.complete && options.failOnPartial) {
+            const failedPages = postInfo.pagesFailed.map(item => item.page).join(', ');
+            const error = new V2exError(`抓取多页帖子不完整: 第${failedPages}页抓取失败`, { url: postInfo.url });
+            error.pagesFailed = postInfo.pagesFailed;
+            error.partialResult = postInfo;
+            throw error;
+        }
+
+        return postInfo;
+    }
+
+    /**
+     * 抓取帖子的一页回复
+     * @param {string} baseUrl - 帖子URL（不含分页参数）
+     * @param {number} page - 页码
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Array>} 该页的回复
+     */
+    async fetchReplyPage(baseUrl, page, options = {}) {
+        const pageUrl = `${baseUrl}?p=${page}`;
+        this.logger.debug(`📄 抓取第${page}页: ${pageUrl}`);
+
+        const $page = await this.loadPage(pageUrl, options);
+        return this.parseRepliesFromPage($page, options);
+    }
+
+    /**
+     * 逐页产出帖子的回复，每抓完一页就产出一页，适合边抓取边写入数据库或文件
+     * 第1页带有完整的帖子信息（post），之后每页只有回复；用 break 提前结束时不再抓取剩余分页
+     * 分页按页面抓取，不使用官方API；parseMultiPagePost 也通过它抓取分页
+     * @param {string} postId - 帖子ID
+     * @param {Object} options - 解析选项
+     * @param {number} options.concurrency - 同时抓取的分页数，默认1；大于1时按完成先后产出
+     * @param {number} options.pageDelay - 每个并发槽位连续请求之间的额外等待时间（毫秒），默认0
+     * @param {AbortSignal} options.signal - 中止信号，中止后抛出 AbortError
+     * @param {string|Object|Checkpoint} options.checkpoint - 断点记录，第2页起已完成的分页以 skipped 为 true 产出，不再请求；第1页和最后一页总会抓取
+     * @returns {AsyncGenerator<Object>} { page, totalPages, url, success, replies, retries }，第1页另有 post 和 pagination，失败的分页有 error、errorType 和 status
+     */
+    async *iteratePostReplies(postId, options = {}) {
+        const baseUrl = `${this.baseUrl}/t/${postId}`;
+        const { controller, release } = createLinkedAbortController(options.signal);
+
+        try {
+            const requestOptions = { ...this.withSession(options), signal: controller.signal };
+            const checkpoint = await this.openCheckpoint(options.checkpoint);
+            const pageKey = page => `topic:${postId}:p${page}`;
+
+            let post;
+            let pagination;
+            const retryStats = { retries: 0 };
+            try {
+                this.logger.debug(`📄 抓取第1页: ${baseUrl}`);
+                const $first = await this.loadPage(baseUrl, { ...requestOptions, retryStats });
+                post = await this.parsePostPage($first, baseUrl, requestOptions);
+                pagination = this.detectPagination($first);
+            } catch (error) {
+                throw wrapError(error, '抓取多页帖子失败');
+            }
+
+            const totalPages = pagination.totalPages;
+
+            // 最后一页通常没有排满，之后还会有新回复，不记为完成，续抓时总会重新抓取
+            const markPageCompleted = item => item.page < totalPages
+                ? this.markBatchCompleted(checkpoint, pageKey(item.page), item)
+                : undefined;
+
+            const firstPage = {
+                page: 1,
+                totalPages: totalPages,
+                url: baseUrl,
+                success: true,
+                replies: post.replies,
+                retries: retryStats.retries,
+                post: post,
+                pagination: pagination
+            };
+            yield firstPage;
+            await markPageCompleted(firstPage);
+
+            const pages = [];
+            for (let page = 2; page <= totalPages; page++) {
+                pages.push(page);
+            }
+
+            const concurrency = options.concurrency || 1;
+            const pageDelay = options.pageDelay || 0;
+
+            const loadRepliesPage = async (page, index) => {
+                const pageUrl = `${baseUrl}?p=${page}`;
+                const pageStats = { retries: 0 };
+
+                // 之前的运行已经完成的分页
+                if (checkpoint && checkpoint.isCompleted(pageKey(page))) {
+                    return { page, totalPages, url: pageUrl, success: true, skipped: true, replies: [], retries: 0 };
+                }
+
+                // 每个并发槽位的第一个请求之后才等待，避免请求过快
+                if (index >= concurrency && pageDelay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, pageDelay));
+                }
+
+                try {
+                    const replies = await this.fetchReplyPage(baseUrl, page, { ...requestOptions, retryStats: pageStats });
+                    return { page, totalPages, url: pageUrl, success: true, replies, retries: pageStats.retries };
+                } catch (error) {
+                    // 中止时正在抓取的分页不产出
+                    if (controller.signal.aborted) {
+                        return undefined;
+                    }
+
+                    this.logger.warn(`⚠️ 抓取第${page}页失败:`, error.message);
+                    await this.markBatchFailed(checkpoint, pageKey(page), error);
+
+                    return {
+                        page,
+                        totalPages,
+                        url: pageUrl,
+                        success: false,
+                        replies: [],
+                        retries: pageStats.retries,
+                        error: error.message,
+                        errorType: error.name,
+                        status: error.status || null
+                    };
+                }
+            };
+
+            for await (const { value } of iterateWithConcurrency(pages, concurrency, loadRepliesPage, { signal: controller.signal })) {
+                if (value && !controller.signal.aborted) {
+                    yield value;
+                    await markPageCompleted(value);
+                }
+            }
+
+            if (options.signal && options.signal.aborted) {
+                throw new AbortError(`抓取帖子回复已中止: ${baseUrl}`, { url: baseUrl });
+            }
+        } finally {
+            // 提前结束迭代时取消进行中的请求
+            controller.abort();
+            release();
+        }
+    }
+
+    /**
+     * 解析节点页面
+     * @param {Object} $ - cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @returns {Object} 节点信息JSON
+     */
+    async parseNodePage($, url, options = {}) {
+        // 提取节点名
+        const urlMatch = url.match(/\/go\/([^\/?#]+)/);
+        const name = urlMatch ? urlMatch[1] : '';
+
+        // 提取节点标题（面包屑中 "V2EX › 标题" 的最后一段）
+        const $info = $('.node_info').first().clone();
+        $info.find('.fr, a, .f12, .chevron, .sep10').remove();
+        let title = $info.text().replace(/\s+/g, ' ').trim();
+        if (!title) {
+            const titleParts = $('title').text().split('›');
+            title = titleParts.length > 1 ? titleParts[titleParts.length - 1].trim() : '';
+        }
+
+        // 提取主题总数
+        const topicCount = $('.node_info .fr strong').first().text().trim();
+
+        // 提取节点描述
+        const header = $('.node_info .f12').last().text().trim();
+
+        // 提取节点头像
+        const avatar = $('.node_avatar img').first().attr('src') || '';
+
+        // 提取主题列表，节点页的主题不单独标注节点
+        const topics = this.parseTopicList($, { name, title });
+
+        return {
+            type: 'node',
+            url: url,
+            name: name,
+            title: title,
+            topicCount: topicCount,
+            header: header,
+            avatar: avatar,
+            topics: topics,
+            pagination: this.detectPagination($),
+            statistics: {
+                topicCount: topics.length
+            },
+            parsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 解析页面中的主题列表（节点页、首页、最近主题等）
+     * @param {Object} $ - cheerio对象
+     * @param {Object|null} defaultNode - 主题未标注节点时使用的节点 { name, title }
+     * @returns {Array<Object>} 主题摘要数组
+     */
+    parseTopicList($, defaultNode = null) {
+        const topics = [];
+        $('.item_title').closest('.cell').each((index, element) => {
+            const topic = this.parseTopicListItem($, element);
+            if (topic) {
+                if (!topic.node && defaultNode) {
+                    topic.node = { ...defaultNode };
+                }
+                topics.push(topic);
+            }
+        });
+        return topics;
+    }
+
+    /**
+     * 解析主题列表中的单个主题
+     * @param {Object} $ - cheerio对象
+     * @param {Object} element - 主题所在的 .cell 元素
+     * @returns {Object|null} 主题摘要，无法识别时返回null
+     */
+    parseTopicListItem($, element) {
+        const $el = $(element);
+
+        // 提取主题ID和标题
+        const $link = $el.find('.item_title a[href*="/t/"]').first();
+        const href = $link.attr('href') || '';
+        const idMatch = href.match(/\/t\/(\d+)/);
+        if (!idMatch) {
+            return null;
+        }
+        const id = idMatch[1];
+
+        // 主题信息行：节点页为 .small.fade，首页为 .topic_info
+        const $meta = $el.find('.topic_info, .small.fade').first();
+        const memberLinks = $meta.find('strong a[href*="/member/"]');
+
+        // 提取发帖人
+        const $author = memberLinks.first();
+        const authorName = $author.text().trim();
+
+        // 提取最后回复人
+        const hasLastReply = $meta.text().includes('最后回复来自');
+        const lastReplyBy = hasLastReply ? memberLinks.last().text().trim() : '';
+
+        // 提取节点（节点页中没有）
+        const $node = $el.find('a.node').first();
+        const node = $node.length > 0
+            ? { name: ($node.attr('href') || '').replace('/go/', ''), title: $node.text().trim() }
+            : null;
+
+        // 提取最后活跃时间
+        const $time = $meta.find('span[title]').first();
+
+        // 提取回复数
+        const replyCount = $el.find('a[class^="count_"]').first().text().trim() || '0';
+
+        return {
+            id: id,
+            title: $link.text().trim(),
+            url: `${this.baseUrl}/t/${id}`,
+            author: {
+                name: authorName,
+                id: authorName,
+                avatar: $el.find('img.avatar').first().attr('src') || ''
+            },
+            node: node,
+            replyCount: replyCount,
+            lastReplyBy: lastReplyBy,
+            lastTouched: $time.attr('title') || '',
+            lastTouchedText: $time.text().trim()
+        };
+    }
+
+    /**
+     * 抓取节点页面，按需跟随分页
+     * @param {string} nodeName - 节点名，如 python
+     * @param {Object} options - 解析选项
+     * @param {number} options.pages - 最多抓取的页数，默认1，传入 Infinity 抓取全部
+     * @param {number} options.delay - 翻页的额外间隔（毫秒），默认0
+     * @returns {Promise<Object>} 节点信息及主题列表
+     */
+    async parseNode(nodeName, options = {}) {
+        const baseUrl = `${this.baseUrl}/go/${nodeName}`;
+        const maxPages = options.pages || 1;
+        options = this.withRetryStats(this.withSession(options));
+
+        try {
+            const $first = await this.loadPage(baseUrl, options);
+            const nodeInfo = await this.parseNodePage($first, baseUrl, options);
+
+            // 抓取其余页面
+            const totalPages = nodeInfo.pagination.totalPages;
+            const defaultNode = { name: nodeInfo.name, title: nodeInfo.title };
+            const rest = await this.fetchListPages(baseUrl, 2, Math.min(totalPages, maxPages), options,
+                $page => this.parseTopicList($page, defaultNode));
+
+            nodeInfo.topics = nodeInfo.topics.concat(rest.items);
+            nodeInfo.statistics = {
+                topicCount: nodeInfo.topics.length,
+                totalPages: totalPages,
+                pagesFetched: 1 + rest.pagesFetched,
+                retries: options.retryStats.retries
+            };
+
+            return nodeInfo;
+        } catch (error) {
+            throw wrapError(error, '抓取节点失败');
+        }
+    }
+
+    /**
+     * 按页抓取带 ?p=N 分页的列表（节点页、最近主题、会员主题与回复等）
+     * 单页失败时记录警告并跳过
+     * @param {string} baseUrl - 列表页URL（不含分页参数）
+     * @param {number} fromPage - 起始页码
+     * @param {number} toPage - 结束页码（包含）
+     * @param {Object} options - 解析选项
+     * @param {number} options.delay - 每页请求前的额外等待时间（毫秒），默认0，请求速度由解析器的限速器控制
+     * @param {Function} parseItems - 从单页cheerio对象中提取条目的函数
+     * @returns {Promise<Object>} { items, pagesFetched }
+     */
+    async fetchListPages(baseUrl, fromPage, toPage, options = {}, parseItems) {
+        const delay = options.delay || 0;
+        let items = [];
+        let pagesFetched = 0;
+
+        for (let page = fromPage; page <= toPage; page++) {
+            // 添加延迟避免请求过快
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            try {
+                const $page = await this.loadPage(`${baseUrl}?p=${page}`, options);
+                items = items.concat(parseItems($page));
+                pagesFetched++;
+            } catch (error) {
+                this.logger.warn(`⚠️ 抓取列表第${page}页失败:`, error.message);
+            }
+        }
+
+        return { items, pagesFetched };
+    }
+
+    /**
+     * 解析主题列表页面（首页标签页或最近主题）
+     * @param {Object} $ - cheerio对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @returns {Object} 主题列表JSON
+     */
+    async parseTopicListPage($, url, options = {}) {
+        const isRecent = url.includes('/recent');
+        const tabMatch = url.match(/[?&]tab=([^&#]+)/);
+
+        // 列表名称与标题
+        const name = isRecent ? 'recent' : (tabMatch ? tabMatch[1] : '');
+        const title = isRecent
+            ? $('.header').first().text().split('›').pop().trim()
+            : $('#Tabs .tab_current').first().text().trim();
+
+        const topics = this.parseTopicList($);
+
+        return {
+            type: isRecent ? 'recent' : 'tab',
+            url: url,
+            name: name,
+            title: title,
+            topics: topics,
+            pagination: this.detectPagination($),
+            statistics: {
+                topicCount: topics.length
+            },
+            parsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 抓取会员发布的全部主题，按需跟随分页
+     * @param {string} username - 用户名
+     * @param {Object} options - 解析选项
+     * @param {number} options.pages - 最多抓取的页数，默认1，传入 Infinity 抓取全部
+     * @param {number} options.delay - 翻页的额外间隔（毫秒），默认0
+     * @returns {Promise<Object>} 会员主题列表JSON
+     */
+    async parseUserTopics(username, options = {}) {
+        const baseUrl = `${this.baseUrl}/member/${username}/topics`;
+        const maxPages = options.pages || 1;
+        options = this.withRetryStats(this.withSession(options));
+
+        try {
+            const $first = await this.loadPage(baseUrl, options);
+            const listInfo = await this.parseUserTopicsPage($first, baseUrl, options);
+
+            // 抓取其余页面
+            const totalPages = listInfo.pagination.totalPages;
+            const rest = await this.fetchListPages(baseUrl, 2, Math.min(totalPages, maxPages), options,
+                $page => this.parseTopicList($page));
+
+            listInfo.topics = listInfo.topics.concat(rest.items);
+            listInfo.statistics = {
+                topicCount: listInfo.topics.length,
+                totalPages: totalPages,
+                pagesFetched: 1 + rest.pagesFetched,
+                retries: options.retryStats.retries
+            };
+
+            return listInfo;
+        } catch (error) {
+            throw wrapError(error, '抓取会员主题失败');
+        }
+    }
+
+    /**
+     * 抓取会员的全部回复，按需跟随分页
+     * @param {string} username - 用户名
+     * @param {Object} options - 解析选项
+     * @param {number} options.pages - 最多抓取的页数，默认1，传入 Infinity 抓取全部
+     * @param {number} options.delay - 翻页的额外间隔（毫秒），默认0
+     * @returns {Promise<Object>} 会员回复列表JSON
+     */
+    async parseUserReplies(username, options = {}) {
+        const baseUrl = `${this.baseUrl}/member/${username}/replies`;
+        const maxPages = options.pages || 1;
+        options = this.withRetryStats(this.withSession(options));
 
-            // 计算总页数
-            if (pagination.pageUrls.length > 0) {
-                pagination.totalPages = Math.max(...pagination.pageUrls.map(p => p.page));
-            }
+        try {
+            const $first = await this.loadPage(baseUrl, options);
+            const listInfo = await this.parseUserRepliesPage($first, baseUrl, options);
+
+            // 抓取其余页面
+            const totalPages = listInfo.pagination.totalPages;
+            const rest = await this.fetchListPages(baseUrl, 2, Math.min(totalPages, maxPages), options,
+                $page => this.parseDockReplies($page));
+
+            listInfo.replies = listInfo.replies.concat(rest.items);
+            listInfo.statistics = {
+                replyCount: listInfo.replies.length,
+                totalPages: totalPages,
+                pagesFetched: 1 + rest.pagesFetched,
+                retries: options.retryStats.retries
+            };
+
+            return listInfo;
+        } catch (error) {
+            throw wrapError(error, '抓取会员回复失败');
         }
-
-        return pagination;
     }
 
     /**
-     * 抓取多页帖子的所有回复
-     * @param {string} postId - 帖子ID
+     * 抓取登录账号的提醒，按需跟随分页
      * @param {Object} options - 解析选项
-     * @returns {Promise<Object>} 包含所有页面的完整帖子信息
+     * @param {string|Object} options.cookie - 登录账号的 A2 Cookie（或任意 session 选项支持的值），默认使用解析器的会话
+     * @param {number} options.pages - 最多抓取的页数，默认1，传入 Infinity 抓取全部
+     * @param {number} options.delay - 翻页的额外间隔（毫秒），默认0
+     * @returns {Promise<Object>} 提醒列表JSON
      */
-    async parseMultiPagePost(postId, options = {}) {
-        const baseUrl = `${this.baseUrl}/t/${postId}`;
-        let allReplies = [];
-        let allReplyUserIds = new Set();
-        let postInfo = null;
+    async parseNotifications(options = {}) {
+        const baseUrl = `${this.baseUrl}/notifications`;
+        const maxPages = options.pages || 1;
+        const session = options.cookie || options.session;
 
-        try {
-            // 首先抓取第一页
-            console.log(`📄 抓取第1页: ${baseUrl}`);
-            const firstPageResponse = await axios.get(baseUrl, {
-                headers: this.headers,
-                timeout: options.timeout || 10000
-            });
+        if (!session && !this.session) {
+            throw new LoginRequiredError('抓取提醒需要提供登录账号的Cookie', { url: baseUrl });
+        }
 
-            const $first = cheerio.load(firstPageResponse.data);
-
-            // 解析第一页基本信息
-            postInfo = await this.parsePostPage($first, baseUrl, options);
-
-            // 检测分页信息
-            const pagination = this.detectPagination($first);
-            console.log(`📊 检测到分页信息: 共${pagination.totalPages}页`);
-
-            if (pagination.hasMultiplePages && pagination.totalPages > 1) {
-                // 抓取所有其他页面
-                for (let page = 2; page <= pagination.totalPages; page++) {
-                    try {
-                        const pageUrl = `${baseUrl}?p=${page}`;
-                        console.log(`📄 抓取第${page}页: ${pageUrl}`);
-
-                        const pageResponse = await axios.get(pageUrl, {
-                            headers: this.headers,
-                            timeout: options.timeout || 10000
-                        });
-
-                        const $page = cheerio.load(pageResponse.data);
-
-                        // 提取该页的回复
-                        const pageReplies = [];
-                        $page('.cell[id^="r_"]').each((index, element) => {
-                            const $el = $page(element);
-                            const replyId = $el.attr('id') ? $el.attr('id').replace('r_', '') : '';
-
-                            const replyAuthorElement = $el.find('strong a.dark');
-                            const replyAuthorName = replyAuthorElement.text().trim();
-                            const replyAuthorId = replyAuthorElement.attr('href') ? replyAuthorElement.attr('href').replace('/member/', '') : '';
-                            const replyAuthorAvatar = $el.find('img.avatar').attr('src') || '';
-
-                            // 提取回复内容（保持原始换行格式）
-                            const replyContentElement = $el.find('.reply_content');
-                            let replyContent = '';
-                            let replyContentHtml = '';
-                            let replyImages = [];
-
-                            if (replyContentElement.length > 0) {
-                                // 保存原始HTML内容
-                                replyContentHtml = replyContentElement.html();
-
-                                // 提取图片信息
-                                replyContentElement.find('img').each((index, imgElement) => {
-                                    const $img = $page(imgElement);
-                                    const imgSrc = $img.attr('src');
-                                    const imgAlt = $img.attr('alt') || '';
-                                    if (imgSrc) {
-                                        replyImages.push({
-                                            src: imgSrc,
-                                            alt: imgAlt
-                                        });
-                                    }
-                                });
-
-                                replyContent = replyContentHtml
-                                    .replace(/<br\s*\/?>/gi, '\n')
-                                    .replace(/<[^>]*>/g, '')
-                                    .replace(/&nbsp;/g, ' ')
-                                    .replace(/&lt;/g, '<')
-                                    .replace(/&gt;/g, '>')
-                                    .replace(/&amp;/g, '&')
-                                    .replace(/&quot;/g, '"')
-                                    .trim();
-                            }
-                            const replyTime = $el.find('.ago').attr('title') || $el.find('.ago').text().trim();
-                            const replyFloor = $el.find('.no').text().trim();
-
-                            const deviceInfo = $el.find('.ago').text().trim();
-                            const deviceMatch = deviceInfo.match(/via (.+)$/);
-                            const device = deviceMatch ? deviceMatch[1] : '';
-
-                            const solanaInfo = this.extractSolanaAddressesFromText(replyContent);
-
-                            // 修改条件：即使内容为空，如果有图片也应该包含这个回复
-                            if (replyContent || replyImages.length > 0) {
-                                pageReplies.push({
-                                    id: replyId,
-                                    floor: replyFloor,
-                                    author: {
-                                        name: replyAuthorName,
-                                        id: replyAuthorId,
-                                        avatar: replyAuthorAvatar
-                                    },
-                                    content: replyContent,
-                                    contentHtml: replyContentHtml,
-                                    images: replyImages,
-                                    time: replyTime,
-                                    device: device,
-                                    solanaAddresses: solanaInfo.solanaAddresses,
-                                    solanaDomains: solanaInfo.solanaDomains
-                                });
-                            }
-                        });
-
-                        // 合并回复
-                        allReplies = allReplies.concat(pageReplies);
-
-                        // 添加延迟避免请求过快
-                        if (page < pagination.totalPages) {
-                            await new Promise(resolve => setTimeout(resolve, 1000));
-                        }
-
-                    } catch (error) {
-                        console.warn(`⚠️ 抓取第${page}页失败:`, error.message);
-                    }
-                }
-            }
+        // 本次调用单独提供的Cookie只用于这些请求，不影响解析器的会话
+        const requestOptions = this.withRetryStats(this.withSession(session ? { ...options, session } : options));
 
-            // 合并所有回复
-            const allRepliesCombined = postInfo.replies.concat(allReplies);
+        try {
+            const $first = await this.loadPage(baseUrl, requestOptions);
+            const listInfo = await this.parseNotificationsPage($first, baseUrl, requestOptions);
+
+            // 抓取其余页面
+            const totalPages = listInfo.pagination.totalPages;
+            const rest = await this.fetchListPages(baseUrl, 2, Math.min(totalPages, maxPages), requestOptions,
+                $page => this.parseNotificationItems($page));
+
+            listInfo.notifications = listInfo.notifications.concat(rest.items);
+            listInfo.statistics = {
+                notificationCount: listInfo.notifications.length,
+                totalPages: totalPages,
+                pagesFetched: 1 + rest.pagesFetched,
+                retries: requestOptions.retryStats.retries
+            };
+
+            return listInfo;
+        } catch (error) {
+            throw wrapError(error, '抓取提醒失败');
+        }
+    }
 
-            // 从所有回复中提取唯一的回复人ID
-            allReplyUserIds = new Set(postInfo.replyUserIds || []);
-            allRepliesCombined.forEach(reply => {
-                if (reply.author && reply.author.id) {
-                    allReplyUserIds.add(reply.author.id);
-                }
-            });
+    /**
+     * 抓取首页标签页的主题列表
+     * @param {string} tabName - 标签名，如 tech、creative、hot、all
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 主题列表JSON，`statistics.retries` 为重试次数
+     */
+    async parseTab(tabName = 'all', options = {}) {
+        const url = `${this.baseUrl}/?tab=${encodeURIComponent(tabName)}`;
+        options = this.withRetryStats(this.withSession(options));
 
-            // 更新统计信息
-            postInfo.replies = allRepliesCombined;
-            postInfo.replyUserIds = Array.from(allReplyUserIds);
-            postInfo.statistics.replyCount = allRepliesCombined.length;
-            postInfo.statistics.totalFloors = allRepliesCombined.length + 1;
-            postInfo.statistics.totalPages = pagination.totalPages;
-            postInfo.pagination = pagination;
+        try {
+            const $ = await this.loadPage(url, options);
+            const listInfo = await this.parseTopicListPage($, url, options);
+            return this.recordRetries(listInfo, options);
+        } catch (error) {
+            throw wrapError(error, '抓取标签页失败');
+        }
+    }
 
-            console.log(`✅ 多页抓取完成: 共${allRepliesCombined.length}条回复，${pagination.totalPages}页，${postInfo.replyUserIds.length}个唯一回复人ID`);
+    /**
+     * 抓取最近主题列表，按需跟随分页
+     * @param {Object} options - 解析选项
+     * @param {number} options.pages - 最多抓取的页数，默认1，传入 Infinity 抓取全部
+     * @param {number} options.delay - 翻页的额外间隔（毫秒），默认0
+     * @returns {Promise<Object>} 主题列表JSON
+     */
+    async parseRecent(options = {}) {
+        const baseUrl = `${this.baseUrl}/recent`;
+        const maxPages = options.pages || 1;
+        options = this.withRetryStats(this.withSession(options));
 
+        try {
+            const $first = await this.loadPage(baseUrl, options);
+            const listInfo = await this.parseTopicListPage($first, baseUrl, options);
+
+            // 抓取其余页面
+            const totalPages = listInfo.pagination.totalPages;
+            const rest = await this.fetchListPages(baseUrl, 2, Math.min(totalPages, maxPages), options,
+                $page => this.parseTopicList($page));
+
+            listInfo.topics = listInfo.topics.concat(rest.items);
+            listInfo.statistics = {
+                topicCount: listInfo.topics.length,
+                totalPages: totalPages,
+                pagesFetched: 1 + rest.pagesFetched,
+                retries: options.retryStats.retries
+            };
+
+            return listInfo;
         } catch (error) {
-            throw new Error(`抓取多页帖子失败: ${error.message}`);
+            throw wrapError(error, '抓取最近主题失败');
         }
+    }
 
-        return postInfo;
+    /**
+     * 获取最热主题列表（/api/topics/hot.json）
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 主题列表JSON，`statistics.retries` 为重试次数
+     */
+    async parseHot(options = {}) {
+        options = this.withRetryStats(options);
+
+        try {
+            const apiTopics = await this.apiClient.getHotTopics(options);
+            const topics = apiTopics.map(topic => this.buildTopicSummaryFromApi(topic));
+
+            return {
+                type: 'hot',
+                url: `${this.apiClient.baseUrl}/api/topics/hot.json`,
+                name: 'hot',
+                title: '最热主题',
+                topics: topics,
+                statistics: {
+                    topicCount: topics.length,
+                    retries: options.retryStats.retries
+                },
+                parsedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            throw wrapError(error, '获取最热主题失败');
+        }
     }
 
     /**
@@ -606,10 +1858,10 @@ class V2exParser {
                 // 移除可能的引号和空格，然后分割
                 const cleanString = wordsString.replace(/['"]/g, '').replace(/\[|\]/g, '');
                 const userIds = cleanString.split(',').map(id => id.trim()).filter(id => id);
-                console.log('✅ 成功从JavaScript中提取回复人ID:', userIds.length, '个');
+                this.logger.debug('✅ 成功从JavaScript中提取回复人ID:', userIds.length, '个');
                 return userIds;
             } catch (error) {
-                console.warn('Failed to parse reply user IDs:', error.message);
+                this.logger.warn('Failed to parse reply user IDs:', error.message);
             }
         }
 
@@ -620,10 +1872,10 @@ class V2exParser {
                 const wordsString = wordsMatch2[1];
                 const cleanString = wordsString.replace(/['"]/g, '').replace(/\[|\]/g, '');
                 const userIds = cleanString.split(',').map(id => id.trim()).filter(id => id);
-                console.log('✅ 成功从JavaScript中提取回复人ID (方法2):', userIds.length, '个');
+                this.logger.debug('✅ 成功从JavaScript中提取回复人ID (方法2):', userIds.length, '个');
                 return userIds;
             } catch (error) {
-                console.warn('Failed to parse reply user IDs with second method:', error.message);
+                this.logger.warn('Failed to parse reply user IDs with second method:', error.message);
             }
         }
 
@@ -640,16 +1892,16 @@ class V2exParser {
         });
 
         if (userIds.length > 0) {
-            console.log('✅ 从HTML中提取回复人ID:', userIds.length, '个');
+            this.logger.debug('✅ 从HTML中提取回复人ID:', userIds.length, '个');
         } else {
-            console.log('⚠️ 无法从JavaScript或HTML中提取回复人ID');
+            this.logger.debug('⚠️ 无法从JavaScript或HTML中提取回复人ID');
             // 调试信息：显示找到的script标签数量
             const scriptCount = $('script').length;
-            console.log('📊 找到script标签数量:', scriptCount);
+            this.logger.debug('📊 找到script标签数量:', scriptCount);
 
             // 显示第一个script标签的内容片段
             const firstScript = $('script').first().text().substring(0, 200);
-            console.log('📝 第一个script标签内容片段:', firstScript);
+            this.logger.debug('📝 第一个script标签内容片段:', firstScript);
         }
 
         return userIds;
@@ -713,7 +1965,7 @@ class V2exParser {
         const uniqueDomains = [...new Set(domains)];
 
         if (uniqueDomains.length > 0) {
-            console.log(`🔍 从文本中提取到 ${uniqueDomains.length} 个sol域名:`, uniqueDomains);
+            this.logger.debug(`🔍 从文本中提取到 ${uniqueDomains.length} 个sol域名:`, uniqueDomains);
         }
 
         return uniqueDomains;
@@ -751,308 +2003,882 @@ class V2exParser {
         const uniqueAddresses = [...new Set(addresses)];
 
         if (uniqueAddresses.length > 0) {
-            console.log(`🔍 从文本中精确提取到 ${uniqueAddresses.length} 个Solana地址:`, uniqueAddresses);
+            this.logger.debug(`🔍 从文本中精确提取到 ${uniqueAddresses.length} 个Solana地址:`, uniqueAddresses);
         }
 
         return uniqueAddresses;
     }
 
     /**
-     * 检查地址是否为URL的一部分
-     * @param {string} text - 完整文本
-     * @param {number} startIndex - 地址开始位置
-     * @param {number} addressLength - 地址长度
-     * @returns {boolean} 是否为URL的一部分
+     * 检查地址是否为URL的一部分
+     * @param {string} text - 完整文本
+     * @param {number} startIndex - 地址开始位置
+     * @param {number} addressLength - 地址长度
+     * @returns {boolean} 是否为URL的一部分
+     */
+    isPartOfUrl(text, startIndex, addressLength) {
+        // 检查地址前后是否有URL特征
+        const beforeText = text.substring(Math.max(0, startIndex - 200), startIndex);
+        const afterText = text.substring(startIndex + addressLength, Math.min(text.length, startIndex + addressLength + 200));
+
+        // URL特征：包含http、https、www、.com、.io等
+        const urlPatterns = [
+            /https?:\/\//i,
+            /www\./i,
+            /\.(com|org|net|io|co|me|tv|app|xyz|sol|scan|explorer)/i,
+            /\/tx\//i,
+            /\/address\//i
+        ];
+
+        const combinedText = beforeText + afterText;
+
+        // 直接邻近检查，避免窗口截断导致漏判
+        const immediateBefore = text.substring(Math.max(0, startIndex - 4), startIndex);
+        if (immediateBefore === '/tx/' || immediateBefore === 'tx/' || immediateBefore === '/address/' || immediateBefore === 'address/') {
+            return true;
+        }
+
+        return urlPatterns.some(pattern => pattern.test(combinedText));
+    }
+
+    /**
+     * 从单个token中提取Solana地址
+     * @param {string} token - 要解析的token
+     * @returns {Array<string>} Solana地址数组
+     */
+    extractAddressesFromToken(token) {
+        if (!token || token.length < 32) return [];
+
+        const addresses = [];
+
+        // 情况1: token本身就是Solana地址
+        if (this.isValidSolanaAddress(token)) {
+            addresses.push(token);
+            return addresses;
+        }
+
+        // 情况2: token包含前缀，尝试找到地址部分
+        // 查找连续的Base58字符，长度在32-44之间
+        const addressMatch = token.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/);
+        if (addressMatch && this.isValidSolanaAddress(addressMatch[0])) {
+            addresses.push(addressMatch[0]);
+            return addresses;
+        }
+
+        // 情况3: token以数字开头，尝试找到以字母开头的地址
+        if (/^\d/.test(token)) {
+            const letterMatch = token.match(/[A-HJ-NP-Za-km-z][1-9A-HJ-NP-Za-km-z]{31,43}/);
+            if (letterMatch && this.isValidSolanaAddress(letterMatch[0])) {
+                addresses.push(letterMatch[0]);
+                return addresses;
+            }
+        }
+
+        return addresses;
+    }
+
+    /**
+     * 验证是否为有效的Solana地址
+     * @param {string} address - 要验证的地址
+     * @returns {boolean} 是否为有效地址
+     */
+    isValidSolanaAddress(address) {
+        if (!address || typeof address !== 'string') return false;
+
+        // 长度检查
+        if (address.length < 32 || address.length > 44) return false;
+
+        // Base58字符检查
+        if (!/^[1-9A-HJ-NP-Za-km-z]+$/.test(address)) return false;
+
+        // 排除纯数字
+        if (/^\d+$/.test(address)) return false;
+
+        return true;
+    }
+
+    /**
+     * 批量解析多个V2EX页面
+     * @param {Array<string>} urls - V2EX页面URL数组
+     * @param {Object} options - 解析选项
+     * @param {number} options.concurrency - 同时解析的页面数，默认1；所有请求仍受解析器的限速器控制
+     * @param {AbortSignal} options.signal - 中止信号，中止后不再开始新的页面，并抛出带 partialResult 的 AbortError
+     * @param {string|Object|Checkpoint} options.checkpoint - 断点记录：JSON 文件路径、{ load, save } 存储或 Checkpoint 实例；已完成的页面会跳过
+     * @returns {Promise<Array>} 解析结果数组，与 urls 顺序一致，每项的 retries 为该页面的重试次数，跳过的页面 skipped 为 true
+     */
+    async parseMultiplePages(urls, options = {}) {
+        options = this.withSession(options);
+        const concurrency = Math.max(1, options.concurrency || 1);
+        const checkpoint = await this.openCheckpoint(options.checkpoint);
+
+        const results = await mapWithConcurrency(urls, concurrency, async url => {
+            const result = await this.parseBatchPage(url, options, checkpoint);
+            await this.markBatchCompleted(checkpoint, `url:${url}`, result);
+            return result;
+        }, { signal: options.signal });
+
+        if (options.signal && options.signal.aborted) {
+            const completed = results.filter(Boolean);
+            const error = new AbortError(`批量解析已中止: 完成 ${completed.length}/${urls.length} 个页面`);
+            error.partialResult = completed;
+            throw error;
+        }
+
+        return results;
+    }
+
+    /**
+     * 解析批量任务中的一个页面
+     * 失败不会抛出错误，而是返回 success 为 false 的结果项
+     * 失败会记入断点记录；完成由调用方在结果交出之后记录，见 markBatchCompleted
+     * @param {string} url - 页面URL
+     * @param {Object} options - 解析选项
+     * @param {Checkpoint} checkpoint - 断点记录，可选
+     * @returns {Promise<Object|undefined>} 结果项，任务被中止时返回 undefined
+     */
+    async parseBatchPage(url, options = {}, checkpoint = null) {
+        const key = `url:${url}`;
+        const retryStats = { retries: 0 };
+
+        // 之前的运行已经完成的页面
+        if (checkpoint && checkpoint.isCompleted(key)) {
+            return { url: url, success: true, skipped: true, data: null, retries: 0 };
+        }
+
+        let result;
+        try {
+            result = await this.parseV2exPage(url, { ...options, retryStats });
+        } catch (error) {
+            // 中止时正在解析的页面不算失败，不计入结果
+            if (options.signal && options.signal.aborted) {
+                return undefined;
+            }
+
+            await this.markBatchFailed(checkpoint, key, error);
+
+            return {
+                url: url,
+                success: false,
+                error: error.message,
+                errorType: error.name,
+                status: error.status || null,
+                retries: retryStats.retries,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return {
+            url: url,
+            success: true,
+            data: result,
+            retries: retryStats.retries
+        };
+    }
+
+    /**
+     * 在断点记录中记录成功的条目，跳过的和失败的结果不记录
+     * 流式接口在消费方处理完结果之后才记录，进程在写入数据库前退出时该条目会在下次运行时重新处理
+     * @param {Checkpoint|null} checkpoint - 断点记录
+     * @param {string} key - 条目的键
+     * @param {Object|undefined} result - 结果项
+     * @returns {Promise<void>}
+     */
+    async markBatchCompleted(checkpoint, key, result) {
+        if (checkpoint && result && result.success && !result.skipped) {
+            await this.saveCheckpoint(() => checkpoint.markCompleted(key), key);
+        }
+    }
+
+    /**
+     * 在断点记录中记录失败的条目，下次运行时重新处理
+     * @param {Checkpoint|null} checkpoint - 断点记录
+     * @param {string} key - 条目的键
+     * @param {Error} error - 失败原因
+     * @returns {Promise<void>}
+     */
+    async markBatchFailed(checkpoint, key, error) {
+        if (checkpoint) {
+            await this.saveCheckpoint(() => checkpoint.markFailed(key, error), key);
+        }
+    }
+
+    /**
+     * 写入断点记录
+     * 写入失败（磁盘已满、没有权限等）只输出警告，不中断批量任务，其他条目照常解析和返回；
+     * 记录仍保留在内存中，之后任意一次写入成功时一并保存
+     * @param {Function} write - 写入函数 () => Promise<void>
+     * @param {string} key - 条目的键
+     * @returns {Promise<void>}
+     */
+    async saveCheckpoint(write, key) {
+        try {
+            await write();
+        } catch (error) {
+            this.logger.warn(`⚠️ 保存断点记录失败（${key}）:`, error.message);
+        }
+    }
+
+    /**
+     * 打开批量任务的断点记录并读取之前保存的状态
+     * @param {string|Object|Checkpoint} checkpoint - checkpoint 选项
+     * @returns {Promise<Checkpoint|null>} 断点记录，未提供时返回 null
+     */
+    async openCheckpoint(checkpoint) {
+        const resolved = resolveCheckpoint(checkpoint);
+        return resolved ? resolved.load() : null;
+    }
+
+    /**
+     * 解析用户信息页面（便捷方法）
+     * @param {string} username - 用户名
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 用户信息JSON，`statistics.retries` 为重试次数
+     */
+    async parseUserInfo(username, options = {}) {
+        if (this.shouldUseApi(options)) {
+            return await this.parseUserInfoFromApi(username, options);
+        }
+
+        const url = `${this.baseUrl}/member/${username}`;
+        return await this.parseV2exPage(url, options);
+    }
+
+    /**
+     * 解析帖子页面（便捷方法）
+     * @param {string} postId - 帖子ID
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 帖子信息JSON，`statistics.retries` 为重试次数
+     */
+    async parsePost(postId, options = {}) {
+        if (this.shouldUseApi(options)) {
+            return await this.parsePostFromApi(postId, options);
+        }
+
+        // 默认使用多页抓取
+        const useMultiPage = options.useMultiPage !== false; // 默认启用
+
+        if (useMultiPage) {
+            return await this.parseMultiPagePost(postId, options);
+        } else {
+            const url = `${this.baseUrl}/t/${postId}`;
+            return await this.parseV2exPage(url, options);
+        }
+    }
+
+    /**
+     * 通过官方API获取用户信息
+     * 返回与 parseUserInfoPage 相同结构的数据
+     * @param {string} username - 用户名
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 用户信息JSON
+     */
+    async parseUserInfoFromApi(username, options = {}) {
+        options = this.withRetryStats(options);
+
+        try {
+            const member = await this.apiClient.getMember(username, options);
+            return this.recordRetries(this.buildUserInfoFromApi(member, `${this.baseUrl}/member/${username}`), options);
+        } catch (error) {
+            throw wrapError(error, '通过API获取用户信息失败');
+        }
+    }
+
+    /**
+     * 通过官方API获取帖子及全部回复
+     * 返回与 parseMultiPagePost 相同结构的数据
+     * @param {string} postId - 帖子ID
+     * @param {Object} options - 解析选项
+     * @returns {Promise<Object>} 帖子信息JSON
+     */
+    async parsePostFromApi(postId, options = {}) {
+        options = this.withRetryStats(options);
+
+        try {
+            const topic = await this.apiClient.getTopic(postId, options);
+
+            // 回复分页抓取，直到最后一页
+            let replies = [];
+            let page = 1;
+            let totalPages = 1;
+            do {
+                const pageResult = await this.apiClient.getTopicReplies(postId, page, options);
+                replies = replies.concat(pageResult.replies);
+                totalPages = pageResult.pagination ? pageResult.pagination.pages || 1 : 1;
+                page++;
+            } while (page <= totalPages);
+
+            const postInfo = this.buildPostFromApi(topic, replies, `${this.baseUrl}/t/${postId}`, totalPages, options);
+            postInfo.statistics.retries = options.retryStats.retries;
+            return postInfo;
+        } catch (error) {
+            throw wrapError(error, '通过API获取帖子失败');
+        }
+    }
+
+    /**
+     * 将API会员数据转换为用户信息结构
+     * @param {Object} member - API返回的会员数据
+     * @param {string} url - 会员页面URL
+     * @returns {Object} 用户信息JSON
+     */
+    buildUserInfoFromApi(member, url) {
+        const socialLinks = {};
+        if (member.twitter) {
+            socialLinks.twitter = { url: `https://x.com/${member.twitter}`, username: member.twitter };
+        }
+        if (member.github) {
+            socialLinks.github = { url: `https://github.com/${member.github}`, username: member.github };
+        }
+        if (member.location) {
+            socialLinks.location = { url: `https://www.google.com/maps?q=${encodeURIComponent(member.location)}`, location: member.location };
+        }
+        if (member.website) {
+            socialLinks.website = { url: member.website, name: member.website };
+        }
+
+        // 签名和简介中可能包含Solana地址和域名
+        const bioText = [member.tagline, member.bio].filter(Boolean).join('\n');
+        const solanaInfo = this.extractSolanaAddressesFromText(bioText);
+
+        return {
+            type: 'user_info',
+            url: url,
+            status: 'ok',
+            username: member.username || '',
+            userId: member.username || '',
+            memberId: member.id ? String(member.id) : '',
+            avatar: member.avatar_xlarge || member.avatar_large || member.avatar || '',
+            signature: member.tagline || '',
+            joinTime: formatApiTime(member.created),
+            activeRank: '',
+            isPro: Boolean(member.pro),
+            socialLinks: socialLinks,
+            solanaAddress: solanaInfo.solanaAddresses[0] || null,
+            solanaDomain: solanaInfo.solanaDomains[0] || null,
+            recentReplies: [],
+            source: 'api',
+            parsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 将API主题与回复数据转换为帖子信息结构
+     * @param {Object} topic - API返回的主题数据
+     * @param {Array<Object>} apiReplies - API返回的全部回复
+     * @param {string} url - 帖子页面URL
+     * @param {number} totalPages - 回复总页数
+     * @param {Object} options - 解析选项
+     * @param {string} options.format - 设为 'markdown' 时主题和回复额外输出 contentMarkdown
+     * @param {boolean} options.threads - 还原回复的对话关系，输出 replyTo、threads 和 interactions
+     * @returns {Object} 帖子信息JSON
      */
-    isPartOfUrl(text, startIndex, addressLength) {
-        // 检查地址前后是否有URL特征
-        const beforeText = text.substring(Math.max(0, startIndex - 200), startIndex);
-        const afterText = text.substring(startIndex + addressLength, Math.min(text.length, startIndex + addressLength + 200));
+    buildPostFromApi(topic, apiReplies, url, totalPages = 1, options = {}) {
+        const markdown = options.format === 'markdown';
+        const member = topic.member || {};
+        const topicContent = this.parseRichContentHtml(topic.content_rendered);
+
+        const replies = apiReplies.map((reply, index) => {
+            const replyMember = reply.member || {};
+            const contentHtml = reply.content_rendered || '';
+            const content = contentHtml ? this.htmlToText(contentHtml) : (reply.content || '').trim();
+
+            const richContent = this.parseRichContentHtml(contentHtml);
+            const solanaInfo = this.extractSolanaAddressesFromText(content);
+
+            const result = {
+                id: reply.id ? String(reply.id) : '',
+                floor: String(index + 1),
+                author: {
+                    name: replyMember.username || '',
+                    id: replyMember.username || '',
+                    avatar: replyMember.avatar || replyMember.avatar_normal || ''
+                },
+                content: content,
+                contentHtml: contentHtml,
+                images: richContent.images,
+                blocks: richContent.blocks,
+                entities: richContent.entities,
+                time: formatApiTime(reply.created),
+                device: '',
+                solanaAddresses: solanaInfo.solanaAddresses,
+                solanaDomains: solanaInfo.solanaDomains
+            };
+
+            if (markdown) {
+                result.contentMarkdown = contentHtml ? this.htmlToMarkdown(contentHtml) : (reply.content || '').trim();
+            }
 
-        // URL特征：包含http、https、www、.com、.io等
-        const urlPatterns = [
-            /https?:\/\//i,
-            /www\./i,
-            /\.(com|org|net|io|co|me|tv|app|xyz|sol|scan|explorer)/i,
-            /\/tx\//i,
-            /\/address\//i
-        ];
+            return result;
+        }).filter(reply => reply.content || reply.images.length > 0);
 
-        const combinedText = beforeText + afterText;
+        const replyUserIds = [...new Set(replies.map(reply => reply.author.id).filter(Boolean))];
 
-        // 直接邻近检查，避免窗口截断导致漏判
-        const immediateBefore = text.substring(Math.max(0, startIndex - 4), startIndex);
-        if (immediateBefore === '/tx/' || immediateBefore === 'tx/' || immediateBefore === '/address/' || immediateBefore === 'address/') {
-            return true;
-        }
+        const supplements = (topic.supplements || []).map((supplement, index) => {
+            const contentHtml = supplement.content_rendered || '';
+            const result = {
+                index: index + 1,
+                time: formatApiTime(supplement.created),
+                content: contentHtml ? this.htmlToText(contentHtml) : (supplement.content || '').trim(),
+                contentHtml: contentHtml
+            };
 
-        return urlPatterns.some(pattern => pattern.test(combinedText));
-    }
+            if (markdown) {
+                result.contentMarkdown = contentHtml ? this.htmlToMarkdown(contentHtml) : (supplement.content || '').trim();
+            }
 
-    /**
-     * 从单个token中提取Solana地址
-     * @param {string} token - 要解析的token
-     * @returns {Array<string>} Solana地址数组
-     */
-    extractAddressesFromToken(token) {
-        if (!token || token.length < 32) return [];
+            return result;
+        });
 
-        const addresses = [];
+        // API只提供修改时间，与创建时间相同说明没有编辑过；收藏与感谢次数API不提供
+        const edited = topic.last_modified && topic.last_modified !== topic.created;
 
-        // 情况1: token本身就是Solana地址
-        if (this.isValidSolanaAddress(token)) {
-            addresses.push(token);
-            return addresses;
-        }
+        const postInfo = {
+            type: 'post',
+            url: url,
+            status: 'ok',
+            postId: topic.id ? String(topic.id) : '',
+            title: topic.title || '',
+            node: topic.node ? { name: topic.node.name || '', title: topic.node.title || '', slug: topic.node.name || '' } : null,
+            author: {
+                name: member.username || '',
+                id: member.username || '',
+                avatar: member.avatar || member.avatar_large || ''
+            },
+            postTime: formatApiTime(topic.created),
+            lastEdited: edited ? { time: formatApiTime(topic.last_modified), timeText: '' } : null,
+            clickCount: '',
+            favoriteCount: '',
+            thankCount: '',
+            content: topic.content_rendered ? this.htmlToText(topic.content_rendered) : (topic.content || '').trim(),
+            images: topicContent.images,
+            blocks: topicContent.blocks,
+            entities: topicContent.entities,
+            supplements: supplements,
+            tags: [],
+            replyUserIds: replyUserIds,
+            replies: replies,
+            statistics: {
+                replyCount: replies.length,
+                totalFloors: replies.length + 1,
+                totalPages: totalPages
+            },
+            source: 'api',
+            parsedAt: new Date().toISOString()
+        };
 
-        // 情况2: token包含前缀，尝试找到地址部分
-        // 查找连续的Base58字符，长度在32-44之间
-        const addressMatch = token.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/);
-        if (addressMatch && this.isValidSolanaAddress(addressMatch[0])) {
-            addresses.push(addressMatch[0]);
-            return addresses;
+        if (markdown) {
+            postInfo.contentMarkdown = topic.content_rendered ? this.htmlToMarkdown(topic.content_rendered) : (topic.content || '').trim();
         }
 
-        // 情况3: token以数字开头，尝试找到以字母开头的地址
-        if (/^\d/.test(token)) {
-            const letterMatch = token.match(/[A-HJ-NP-Za-km-z][1-9A-HJ-NP-Za-km-z]{31,43}/);
-            if (letterMatch && this.isValidSolanaAddress(letterMatch[0])) {
-                addresses.push(letterMatch[0]);
-                return addresses;
-            }
+        if (options.threads) {
+            this.attachReplyThreads(postInfo);
         }
 
-        return addresses;
+        return postInfo;
     }
 
     /**
-     * 验证是否为有效的Solana地址
-     * @param {string} address - 要验证的地址
-     * @returns {boolean} 是否为有效地址
+     * 将API主题数据转换为主题摘要结构（与 parseTopicListItem 一致）
+     * @param {Object} topic - API返回的主题数据
+     * @returns {Object} 主题摘要
      */
-    isValidSolanaAddress(address) {
-        if (!address || typeof address !== 'string') return false;
-
-        // 长度检查
-        if (address.length < 32 || address.length > 44) return false;
-
-        // Base58字符检查
-        if (!/^[1-9A-HJ-NP-Za-km-z]+$/.test(address)) return false;
+    buildTopicSummaryFromApi(topic) {
+        const member = topic.member || {};
+        const node = topic.node || null;
+        const id = topic.id ? String(topic.id) : '';
 
-        // 排除纯数字
-        if (/^\d+$/.test(address)) return false;
-
-        return true;
+        return {
+            id: id,
+            title: topic.title || '',
+            url: `${this.baseUrl}/t/${id}`,
+            author: {
+                name: member.username || '',
+                id: member.username || '',
+                avatar: member.avatar_normal || member.avatar || ''
+            },
+            node: node ? { name: node.name || '', title: node.title || '' } : null,
+            replyCount: String(topic.replies || 0),
+            lastReplyBy: topic.last_reply_by || '',
+            lastTouched: formatApiTime(topic.last_touched),
+            lastTouchedText: ''
+        };
     }
 
     /**
-     * 批量解析多个V2EX页面
-     * @param {Array<string>} urls - V2EX页面URL数组
-     * @param {Object} options - 解析选项
-     * @returns {Promise<Array>} 解析结果数组
+     * 将HTML片段解析为图片列表与结构化内容（用于API返回的 content_rendered）
+     * @param {string} html - HTML片段
+     * @returns {Object} { images, blocks, entities }
      */
-    async parseMultiplePages(urls, options = {}) {
-        const results = [];
+    parseRichContentHtml(html) {
+        if (!html) {
+            return { images: [], blocks: [], entities: [] };
+        }
 
-        for (const url of urls) {
-            try {
-                const result = await this.parseV2exPage(url, options);
-                results.push({
-                    url: url,
-                    success: true,
-                    data: result
-                });
-            } catch (error) {
-                results.push({
-                    url: url,
-                    success: false,
-                    error: error.message,
-                    timestamp: new Date().toISOString()
-                });
+        const $ = cheerio.load(`<div id="content">${html}</div>`);
+        const images = [];
+        $('#content img').each((index, imgElement) => {
+            const imgSrc = $(imgElement).attr('src');
+            if (imgSrc) {
+                images.push({ src: imgSrc, alt: $(imgElement).attr('alt') || '' });
             }
-        }
+        });
 
-        return results;
+        return {
+            images: images,
+            ...parseRichContent($, $('#content'), { baseUrl: this.baseUrl })
+        };
     }
 
     /**
-     * 解析用户信息页面（便捷方法）
-     * @param {string} username - 用户名
-     * @param {Object} options - 解析选项
-     * @returns {Promise<Object>} 用户信息JSON
+     * 将HTML片段转换为 Markdown（用于API返回的 content_rendered）
+     * @param {string} html - HTML片段
+     * @returns {string} Markdown 文本
      */
-    async parseUserInfo(username, options = {}) {
-        const url = `${this.baseUrl}/member/${username}`;
-        return await this.parseV2exPage(url, options);
+    htmlToMarkdown(html) {
+        if (!html) return '';
+
+        const $ = cheerio.load(`<div id="content">${html}</div>`);
+        return htmlToMarkdown($, $('#content'), { baseUrl: this.baseUrl });
     }
 
     /**
-     * 解析帖子页面（便捷方法）
-     * @param {string} postId - 帖子ID
-     * @param {Object} options - 解析选项
-     * @returns {Promise<Object>} 帖子信息JSON
+     * 将HTML片段转换为保留换行的纯文本
+     * @param {string} html - HTML片段
+     * @returns {string} 纯文本
      */
-    async parsePost(postId, options = {}) {
-        // 默认使用多页抓取
-        const useMultiPage = options.useMultiPage !== false; // 默认启用
+    htmlToText(html) {
+        if (!html) return '';
 
-        if (useMultiPage) {
-            return await this.parseMultiPagePost(postId, options);
-        } else {
-            const url = `${this.baseUrl}/t/${postId}`;
-            return await this.parseV2exPage(url, options);
-        }
+        const $ = cheerio.load(`<div id="content">${html}</div>`);
+        return extractText($, $('#content'));
     }
 
     /**
      * 批量解析用户名信息
      * @param {Array<string>} usernames - 用户名数组
      * @param {Object} options - 解析选项
+     * @param {number} options.concurrency - 同时解析的用户数，默认1；所有请求仍受解析器的限速器控制
+     * @param {number} options.timeout - 每个请求的超时（毫秒），默认使用解析器的 timeout
+     * @param {AbortSignal} options.signal - 中止信号，中止后不再开始新的用户，并抛出带 partialResult 的 AbortError
      * @param {Function} options.onProgress - 进度回调函数，参数为 {currentIndex, totalUsers, username, status, message }
-     * @returns {Promise<Array>} 用户信息数组
+     * @param {Object|number|boolean} options.retry - 本次调用的重试策略，覆盖解析器的 retry 选项
+     * @param {number} options.retryCount - 失败重试次数，未提供 retry 时使用
+     * @param {string|Object|Checkpoint} options.checkpoint - 断点记录：JSON 文件路径、{ load, save } 存储或 Checkpoint 实例；已完成的用户会跳过，只重新解析失败和未处理的用户
+     * @returns {Promise<Array>} 用户信息数组，与 usernames 顺序一致，每项的 retries 为该用户的重试次数，跳过的用户 skipped 为 true
      */
     async parseMultipleUsers(usernames, options = {}) {
-        const results = [];
         const totalUsers = usernames.length;
 
-        console.log(`🚀 开始批量解析 ${totalUsers} 个用户信息...`);
+        this.logger.info(`🚀 开始批量解析 ${totalUsers} 个用户信息...`);
 
-        // 设置默认选项
+        const batch = await this.createUserBatch(totalUsers, options);
+        const { finalOptions } = batch;
+
+        // 并发解析，结果按输入顺序排列
+        const results = await mapWithConcurrency(usernames, finalOptions.concurrency, async (username, index) => {
+            const result = await this.parseBatchUser(username, index, batch);
+            await this.markBatchCompleted(batch.checkpoint, `user:${username}`, result);
+            return result;
+        }, { signal: finalOptions.signal });
+
+        if (finalOptions.signal && finalOptions.signal.aborted) {
+            const completed = results.filter(Boolean);
+            this.logger.warn(`⏹️ 批量解析已中止: 完成 ${completed.length}/${totalUsers} 个用户`);
+
+            const error = new AbortError(`批量解析已中止: 完成 ${completed.length}/${totalUsers} 个用户`);
+            error.partialResult = completed;
+            throw error;
+        }
+
+        // 统计结果
+        const successCount = results.filter(r => r.success).length;
+        const failureCount = results.filter(r => !r.success).length;
+
+        this.logger.info(`📊 批量解析完成！`);
+        this.logger.info(`✅ 成功: ${successCount} 个`);
+        this.logger.info(`❌ 失败: ${failureCount} 个`);
+        this.logger.info(`📈 成功率: ${((successCount / totalUsers) * 100).toFixed(2)}%`);
+
+        // 调用进度回调 - 完成
+        if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
+            finalOptions.onProgress({
+                currentIndex: totalUsers,
+                totalUsers,
+                username: null,
+                status: 'complete',
+                message: `批量解析完成！成功: ${successCount} 个，失败: ${failureCount} 个，成功率: ${((successCount / totalUsers) * 100).toFixed(2)}%`
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * 准备批量解析用户的选项、重试策略和断点记录
+     * @param {number} totalUsers - 用户总数
+     * @param {Object} options - parseMultipleUsers 的选项
+     * @returns {Promise<Object>} { totalUsers, finalOptions, retryPolicy, checkpoint }
+     */
+    async createUserBatch(totalUsers, options = {}) {
+        // 设置默认选项；不设默认超时，未传入 timeout 时使用解析器的 timeout
         const defaultOptions = {
-            timeout: 10000,
-            delay: 1000, // 请求间隔延迟（毫秒）
-            retryCount: 2, // 失败重试次数
+            concurrency: 1, // 同时解析的用户数
+            delay: 0, // 额外的请求间隔（毫秒），请求速度由限速器控制
             showProgress: true, // 是否显示进度
             onProgress: null // 进度回调函数
         };
 
-        const finalOptions = { ...defaultOptions, ...options };
+        const finalOptions = this.withSession({ ...defaultOptions, ...options });
+        finalOptions.concurrency = Math.max(1, finalOptions.concurrency || 1);
+
+        // retryCount 为失败重试次数（旧选项），等同于 retry: { attempts: retryCount + 1 }
+        const retryOption = options.retry !== undefined || options.retryCount === undefined
+            ? options.retry
+            : { attempts: options.retryCount + 1 };
+        const retryPolicy = resolveRetryPolicy(retryOption, this.retryPolicy);
+
+        const checkpoint = await this.openCheckpoint(options.checkpoint);
+
+        return { totalUsers, finalOptions, retryPolicy, checkpoint };
+    }
+
+    /**
+     * 解析批量任务中的一个用户，报告进度并返回结果项
+     * 失败不会抛出错误，而是返回 success 为 false 的结果项
+     * 失败会记入断点记录；完成由调用方在结果交出之后记录，见 markBatchCompleted
+     * @param {string} username - 用户名
+     * @param {number} index - 用户在输入中的位置，从0开始
+     * @param {Object} batch - createUserBatch 的返回值
+     * @returns {Promise<Object|undefined>} 结果项，任务被中止时返回 undefined
+     */
+    async parseBatchUser(username, index, batch) {
+        const { totalUsers, finalOptions, retryPolicy, checkpoint } = batch;
+        const currentIndex = index + 1;
+        const key = `user:${username}`;
+
+        // 之前的运行已经完成的用户
+        if (checkpoint && checkpoint.isCompleted(key)) {
+            if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
+                finalOptions.onProgress({
+                    currentIndex,
+                    totalUsers,
+                    username,
+                    status: 'skip',
+                    message: `用户 ${username} 已在之前完成，跳过`
+                });
+            }
+
+            return {
+                username: username,
+                success: true,
+                skipped: true,
+                data: null,
+                retries: 0,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // 每个并发槽位的第一个用户之后才等待，避免请求过快
+        if (index >= finalOptions.concurrency && finalOptions.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, finalOptions.delay));
+        }
+
+        if (finalOptions.showProgress) {
+            this.logger.info(`📊 进度: ${currentIndex}/${totalUsers} - 正在解析用户: ${username}`);
+        }
+
+        // 调用进度回调
+        if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
+            finalOptions.onProgress({
+                currentIndex,
+                totalUsers,
+                username,
+                status: 'start',
+                message: `开始解析用户: ${username}`
+            });
+        }
+
+        // 重试由请求层按重试策略完成，这里只报告进度
+        const retryStats = { retries: 0 };
+        const retry = {
+            ...retryPolicy,
+            onRetry: info => {
+                if (finalOptions.showProgress) {
+                    this.logger.warn(`⚠️ 用户 ${username} 解析失败，第 ${info.attempt} 次重试...`);
+                }
+
+                // 调用进度回调 - 重试
+                if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
+                    finalOptions.onProgress({
+                        currentIndex,
+                        totalUsers,
+                        username,
+                        status: 'retry',
+                        message: `用户 ${username} 解析失败，第 ${info.attempt} 次重试...`
+                    });
+                }
+
+                if (typeof retryPolicy.onRetry === 'function') {
+                    retryPolicy.onRetry(info);
+                }
+            }
+        };
 
-        for (let i = 0; i < usernames.length; i++) {
-            const username = usernames[i];
-            const currentIndex = i + 1;
+        try {
+            const userInfo = await this.parseUserInfo(username, { ...finalOptions, retry, retryStats });
 
             if (finalOptions.showProgress) {
-                console.log(`📊 进度: ${currentIndex}/${totalUsers} - 正在解析用户: ${username}`);
+                this.logger.info(`✅ 用户 ${username} 解析成功`);
             }
 
-            // 调用进度回调
+            // 调用进度回调 - 成功
             if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
                 finalOptions.onProgress({
                     currentIndex,
                     totalUsers,
                     username,
-                    status: 'start',
-                    message: `开始解析用户: ${username}`
+                    status: 'success',
+                    message: `用户 ${username} 解析成功`,
+                    userInfo: userInfo
                 });
             }
 
-            let retryAttempts = 0;
-            let success = false;
+            return {
+                username: username,
+                success: true,
+                data: userInfo,
+                retries: retryStats.retries,
+                timestamp: new Date().toISOString()
+            };
 
-            while (retryAttempts <= finalOptions.retryCount && !success) {
-                try {
-                    const userInfo = await this.parseUserInfo(username, finalOptions);
+        } catch (error) {
+            // 中止时正在解析的用户不算失败，不计入结果
+            if (finalOptions.signal && finalOptions.signal.aborted) {
+                return undefined;
+            }
 
-                    results.push({
-                        username: username,
-                        success: true,
-                        data: userInfo,
-                        timestamp: new Date().toISOString()
-                    });
+            await this.markBatchFailed(checkpoint, key, error);
 
-                    success = true;
+            if (finalOptions.showProgress) {
+                this.logger.warn(`❌ 用户 ${username} 解析最终失败: ${error.message}`);
+            }
 
-                    if (finalOptions.showProgress) {
-                        console.log(`✅ 用户 ${username} 解析成功`);
-                    }
+            // 调用进度回调 - 最终失败
+            if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
+                finalOptions.onProgress({
+                    currentIndex,
+                    totalUsers,
+                    username,
+                    status: 'error',
+                    message: `用户 ${username} 解析最终失败: ${error.message}`
+                });
+            }
 
-                    // 调用进度回调 - 成功
-                    if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
-                        finalOptions.onProgress({
-                            currentIndex,
-                            totalUsers,
-                            username,
-                            status: 'success',
-                            message: `用户 ${username} 解析成功`,
-                            userInfo: userInfo
-                        });
-                    }
+            // 会员不存在等永久性错误不会重试，retryAttempts 为1
+            return {
+                username: username,
+                success: false,
+                error: error.message,
+                errorType: error.name,
+                status: error.status || null,
+                retries: retryStats.retries,
+                retryAttempts: retryStats.retries + 1,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
 
-                } catch (error) {
-                    retryAttempts++;
-
-                    if (retryAttempts <= finalOptions.retryCount) {
-                        if (finalOptions.showProgress) {
-                            console.log(`⚠️ 用户 ${username} 解析失败，第 ${retryAttempts} 次重试...`);
-                        }
-
-                        // 调用进度回调 - 重试
-                        if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
-                            finalOptions.onProgress({
-                                currentIndex,
-                                totalUsers,
-                                username,
-                                status: 'retry',
-                                message: `用户 ${username} 解析失败，第 ${retryAttempts} 次重试...`
-                            });
-                        }
-                        // 重试前等待一段时间
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                    } else {
-                        if (finalOptions.showProgress) {
-                            console.log(`❌ 用户 ${username} 解析最终失败: ${error.message}`);
-                        }
-
-                        // 调用进度回调 - 最终失败
-                        if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
-                            finalOptions.onProgress({
-                                currentIndex,
-                                totalUsers,
-                                username,
-                                status: 'error',
-                                message: `用户 ${username} 解析最终失败: ${error.message}`
-                            });
-                        }
-
-                        results.push({
-                            username: username,
-                            success: false,
-                            error: error.message,
-                            retryAttempts: retryAttempts,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
+    /**
+     * 逐个产出用户信息，每解析完一个用户就产出一项，适合边抓取边写入数据库或文件
+     * 结果项与 parseMultipleUsers 相同，onProgress 等选项也相同；用 break 提前结束时不再开始新的用户
+     * @param {Array<string>} usernames - 用户名数组
+     * @param {Object} options - 解析选项，与 parseMultipleUsers 相同
+     * @param {number} options.concurrency - 同时解析的用户数，默认1；大于1时按完成先后产出
+     * @param {AbortSignal} options.signal - 中止信号，中止后抛出 AbortError
+     * @param {string|Object|Checkpoint} options.checkpoint - 断点记录，已完成的用户以 skipped 为 true 产出，不再请求
+     * @returns {AsyncGenerator<Object>} 用户结果项 { username, success, data, retries, ... }
+     */
+    async *iterateUsers(usernames, options = {}) {
+        const { controller, release } = createLinkedAbortController(options.signal);
+        let successCount = 0;
+        let failureCount = 0;
+
+        // 从这里起出错（包括读取断点记录失败）都要移除对外部信号的监听
+        try {
+            const batch = await this.createUserBatch(usernames.length, { ...options, signal: controller.signal });
+            const { finalOptions } = batch;
+
+            for await (const { value } of iterateWithConcurrency(usernames, finalOptions.concurrency,
+                (username, index) => this.parseBatchUser(username, index, batch), { signal: controller.signal })) {
+                // 中止后不再产出，进行中的项只等待其结束
+                if (!value || controller.signal.aborted) continue;
+
+                if (value.success) {
+                    successCount++;
+                } else {
+                    failureCount++;
                 }
+                yield value;
+                await this.markBatchCompleted(batch.checkpoint, `user:${value.username}`, value);
             }
 
-            // 请求间隔延迟，避免请求过快
-            if (i < usernames.length - 1 && finalOptions.delay > 0) {
-                await new Promise(resolve => setTimeout(resolve, finalOptions.delay));
+            if (options.signal && options.signal.aborted) {
+                throw new AbortError(`批量解析已中止: 完成 ${successCount + failureCount}/${usernames.length} 个用户`);
             }
+
+            // 调用进度回调 - 完成
+            if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
+                finalOptions.onProgress({
+                    currentIndex: usernames.length,
+                    totalUsers: usernames.length,
+                    username: null,
+                    status: 'complete',
+                    message: `批量解析完成！成功: ${successCount} 个，失败: ${failureCount} 个，成功率: ${((successCount / usernames.length) * 100).toFixed(2)}%`
+                });
+            }
+        } finally {
+            // 提前结束迭代时取消进行中的请求
+            controller.abort();
+            release();
         }
+    }
 
-        // 统计结果
-        const successCount = results.filter(r => r.success).length;
-        const failureCount = results.filter(r => !r.success).length;
+    /**
+     * 逐个产出页面解析结果，每解析完一个页面就产出一项
+     * 结果项与 parseMultiplePages 相同；用 break 提前结束时不再开始新的页面
+     * @param {Array<string>} urls - V2EX页面URL数组
+     * @param {Object} options - 解析选项
+     * @param {number} options.concurrency - 同时解析的页面数，默认1；大于1时按完成先后产出
+     * @param {AbortSignal} options.signal - 中止信号，中止后抛出 AbortError
+     * @param {string|Object|Checkpoint} options.checkpoint - 断点记录，已完成的页面以 skipped 为 true 产出，不再请求
+     * @returns {AsyncGenerator<Object>} 页面结果项 { url, success, data, retries, ... }
+     */
+    async *iteratePages(urls, options = {}) {
+        const { controller, release } = createLinkedAbortController(options.signal);
+        let completed = 0;
 
-        console.log(`\n📊 批量解析完成！`);
-        console.log(`✅ 成功: ${successCount} 个`);
-        console.log(`❌ 失败: ${failureCount} 个`);
-        console.log(`📈 成功率: ${((successCount / totalUsers) * 100).toFixed(2)}%`);
+        try {
+            const requestOptions = { ...this.withSession(options), signal: controller.signal };
+            const checkpoint = await this.openCheckpoint(options.checkpoint);
 
-        // 调用进度回调 - 完成
-        if (finalOptions.onProgress && typeof finalOptions.onProgress === 'function') {
-            finalOptions.onProgress({
-                currentIndex: totalUsers,
-                totalUsers,
-                username: null,
-                status: 'complete',
-                message: `批量解析完成！成功: ${successCount} 个，失败: ${failureCount} 个，成功率: ${((successCount / totalUsers) * 100).toFixed(2)}%`
-            });
-        }
+            for await (const { value } of iterateWithConcurrency(urls, options.concurrency || 1,
+                url => this.parseBatchPage(url, requestOptions, checkpoint), { signal: controller.signal })) {
+                // 中止后不再产出，进行中的项只等待其结束
+                if (!value || controller.signal.aborted) continue;
 
-        return results;
+                completed++;
+                yield value;
+                await this.markBatchCompleted(checkpoint, `url:${value.url}`, value);
+            }
+
+            if (options.signal && options.signal.aborted) {
+                throw new AbortError(`批量解析已中止: 完成 ${completed}/${urls.length} 个页面`);
+            }
+        } finally {
+            // 提前结束迭代时取消进行中的请求
+            controller.abort();
+            release();
+        }
     }
 
     /**
@@ -1081,7 +2907,18 @@ class V2exParser {
      */
     setBaseUrl(baseUrl) {
         this.baseUrl = baseUrl;
-        console.log(`🔧 基础URL已更新为: ${this.baseUrl}`);
+        if (!this.apiBaseUrl) {
+            this.apiClient.baseUrl = baseUrl;
+        }
+        this.logger.debug(`🔧 基础URL已更新为: ${this.baseUrl}`);
+    }
+
+    /**
+     * 设置日志器
+     * @param {Object|string|boolean} logger - 与构造函数的 logger 选项相同
+     */
+    setLogger(logger) {
+        this.logger = resolveLogger(logger);
     }
 
     /**
@@ -1099,13 +2936,51 @@ const parser = new V2exParser();
 // 导出类
 export default V2exParser;
 
+// 导出默认传输层与官方API客户端
+export { createAxiosFetcher, DEFAULT_HEADERS, V2exApiClient, formatApiTime };
+
+// 导出日志器
+export { createConsoleLogger, silentLogger };
+
+// 导出错误类型
+export { V2exError, NotFoundError, RateLimitedError, LoginRequiredError, SessionExpiredError, RestrictedError, ParseError, TimeoutError, NetworkError, AbortError };
+
+// 导出登录会话工具
+export { CookieJar, detectLoggedInUser };
+
+// 导出限速器
+export { RateLimiter };
+
+// 断点记录
+export { Checkpoint, FileCheckpointStore, MemoryCheckpointStore };
+
 // 导出便捷函数
 export const parseV2exPage = (url, options) => parser.parseV2exPage(url, options);
+export const parseHtml = (html, url, options) => parser.parseHtml(html, url, options);
+export const parseUserHtml = (html, options) => parser.parseUserHtml(html, options);
+export const parsePostHtml = (html, options) => parser.parsePostHtml(html, options);
 export const parseUserInfo = (username, options) => parser.parseUserInfo(username, options);
 export const parsePost = (postId, options) => parser.parsePost(postId, options);
 export const parseMultiPagePost = (postId, options) => parser.parseMultiPagePost(postId, options);
+export const parseRepliesFromPage = ($, options) => parser.parseRepliesFromPage($, options);
+export const parseReplyCell = ($, element, options) => parser.parseReplyCell($, element, options);
+export const parseNode = (nodeName, options) => parser.parseNode(nodeName, options);
+export const parseNodeHtml = (html, options) => parser.parseNodeHtml(html, options);
+export const parseUserTopics = (username, options) => parser.parseUserTopics(username, options);
+export const parseUserReplies = (username, options) => parser.parseUserReplies(username, options);
+export const parseTab = (tabName, options) => parser.parseTab(tabName, options);
+export const parseRecent = (options) => parser.parseRecent(options);
+export const parseHot = (options) => parser.parseHot(options);
+export const parseTopicListHtml = (html, options) => parser.parseTopicListHtml(html, options);
+export const parseNotifications = (options) => parser.parseNotifications(options);
 export const parseMultiplePages = (urls, options) => parser.parseMultiplePages(urls, options);
 export const parseMultipleUsers = (usernames, options) => parser.parseMultipleUsers(usernames, options);
 export const parseMultipleUsersByUrls = (usernames, options) => parser.parseMultipleUsersByUrls(usernames, options);
+export const iterateUsers = (usernames, options) => parser.iterateUsers(usernames, options);
+export const iteratePostReplies = (postId, options) => parser.iteratePostReplies(postId, options);
+export const iteratePages = (urls, options) => parser.iteratePages(urls, options);
 export const setBaseUrl = (baseUrl) => parser.setBaseUrl(baseUrl);
+export const setLogger = (logger) => parser.setLogger(logger);
+export const setSession = (session) => parser.setSession(session);
+export const checkSession = (options) => parser.checkSession(options);
 export const getBaseUrl = () => parser.getBaseUrl();
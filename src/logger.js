@@ -0,0 +1,73 @@
+/**
+ * 日志级别，数值越大越重要
+ */
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    silent: Infinity
+};
+
+const noop = () => {};
+
+/**
+ * 不输出任何内容的日志器
+ */
+export const silentLogger = Object.freeze({
+    debug: noop,
+    info: noop,
+    warn: noop
+});
+
+/**
+ * 创建输出到控制台的分级日志器
+ * 低于指定级别的日志会被忽略
+ * @param {string} level - 最低输出级别：debug、info、warn 或 silent，默认 info
+ * @returns {Object} { debug, info, warn }
+ */
+export function createConsoleLogger(level = 'info') {
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`未知的日志级别: ${level}`);
+    }
+
+    const threshold = LOG_LEVELS[level];
+    const enabled = name => LOG_LEVELS[name] >= threshold;
+
+    return {
+        debug: enabled('debug') ? (...args) => console.debug(...args) : noop,
+        info: enabled('info') ? (...args) => console.log(...args) : noop,
+        warn: enabled('warn') ? (...args) => console.warn(...args) : noop
+    };
+}
+
+/**
+ * 将 logger 选项转换为完整的日志器
+ *
+ * - 未提供或 true：控制台日志器，级别为 info
+ * - false：静默
+ * - 字符串：指定级别的控制台日志器
+ * - 对象：自定义日志器（如 pino、winston 实例），缺少的方法视为忽略
+ *
+ * @param {Object|string|boolean} logger - logger 选项
+ * @returns {Object} { debug, info, warn }
+ */
+export function resolveLogger(logger) {
+    if (logger === undefined || logger === null || logger === true) {
+        return createConsoleLogger();
+    }
+
+    if (logger === false) {
+        return silentLogger;
+    }
+
+    if (typeof logger === 'string') {
+        return createConsoleLogger(logger);
+    }
+
+    const bind = name => typeof logger[name] === 'function' ? logger[name].bind(logger) : noop;
+    return {
+        debug: bind('debug'),
+        info: bind('info'),
+        warn: bind('warn')
+    };
+}
@@ -0,0 +1,239 @@
+/**
+ * 将主题与回复正文转换为 Markdown
+ * 保留链接、图片、代码块、列表、引用和换行，便于转存到 Wiki 或笔记
+ */
+
+import { toAbsoluteUrl, codeLanguage } from './content.js';
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'table', 'tbody', 'thead', 'tr', 'center']);
+
+// 正文中会被当作 Markdown 格式或 HTML 标签的字符
+const INLINE_SPECIAL = /[\\`*_[\]<>~]/g;
+
+// 出现在行首时会变成标题、列表或分隔线的写法
+const LINE_START_SPECIAL = /^(\s*)(?:(#{1,6}|[-+=])|(\d+)([.)]))(?=\s|$)/;
+
+/**
+ * 转义文本节点：cheerio 已经解码了实体，原样输出时 &lt;img&gt; 会变成真正的 HTML 标签，
+ * 作者写下的 *、_、[ 等也会变成格式。代码不经过这里，保持原样
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text
+        .replace(INLINE_SPECIAL, '\\$&')
+        .replace(/&(?=#?[0-9A-Za-z]+;)/g, '&amp;')
+        .replace(LINE_START_SPECIAL, (match, space, marker, number, delimiter) =>
+            marker ? `${space}\\${marker}` : `${space}${number}\\${delimiter}`);
+}
+
+/**
+ * 把地址转成可以放进 [text](...) 的链接目标：空白和尖括号会截断链接，
+ * 括号不成对时 ) 会提前结束链接，这些字符都按百分号编码输出
+ * @param {string} url - 链接地址
+ * @returns {string}
+ */
+function linkDestination(url) {
+    let depth = 0;
+    const balanced = [...url].every(char => {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        return depth >= 0;
+    }) && depth === 0;
+
+    // encodeURIComponent 不编码括号，单独处理
+    return url.replace(balanced ? /[\s<>]/g : /[\s<>()]/g, char =>
+        char === '(' ? '%28' : char === ')' ? '%29' : encodeURIComponent(char));
+}
+
+/**
+ * 用反引号包裹行内代码，代码本身含反引号时使用更长的分隔符
+ * @param {string} text - 代码文本
+ * @returns {string}
+ */
+function inlineCode(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(ticks => ticks.length));
+    const fence = '`'.repeat(longest + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * 生成代码块，代码本身含 ``` 时使用更长的围栏
+ * @param {string} text - 代码文本
+ * @param {string} language - 语言名
+ * @returns {string}
+ */
+function codeFence(text, language) {
+    const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map(ticks => ticks.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}${language}\n${text.replace(/\n$/, '')}\n${fence}`;
+}
+
+/**
+ * 包裹成块：前后各留一个空行，最终输出时再合并多余的空行
+ * @param {string} text - 块内容
+ * @returns {string}
+ */
+function block(text) {
+    return text.trim() ? `\n\n${text.trim()}\n\n` : '';
+}
+
+/**
+ * 递归转换节点列表
+ * @param {Object} $ - cheerio对象
+ * @param {Array<Object>} nodes - DOM节点
+ * @param {Object} context - { baseUrl, listDepth }
+ * @returns {string}
+ */
+function convertNodes($, nodes, context) {
+    return nodes.map(node => convertNode($, node, context)).join('');
+}
+
+/**
+ * 转换单个节点
+ * @param {Object} $ - cheerio对象
+ * @param {Object} node - DOM节点
+ * @param {Object} context - { baseUrl, listDepth }
+ * @returns {string}
+ */
+function convertNode($, node, context) {
+    if (node.type === 'text') {
+        // HTML 源码中的换行和缩进不是内容的一部分
+        return escapeText(node.data.replace(/\s*\n\s*/g, ' ').replace(/\u00a0/g, ' '));
+    }
+
+    if (node.type !== 'tag') return '';
+
+    const name = node.name.toLowerCase();
+    const $node = $(node);
+    const children = () => convertNodes($, node.children || [], context);
+
+    if (name === 'br') {
+        return '  \n';
+    }
+
+    if (name === 'img') {
+        const src = $node.attr('src');
+        return src ? `![${escapeText($node.attr('alt') || '')}](${linkDestination(toAbsoluteUrl(src, context.baseUrl))})` : '';
+    }
+
+    if (name === 'a') {
+        const href = toAbsoluteUrl($node.attr('href') || '', context.baseUrl);
+        const text = children().trim();
+        if (!href) return text;
+
+        // 图片外层的原图链接与图片地址相同时只保留图片
+        const $img = $node.children('img');
+        if ($img.length === 1 && toAbsoluteUrl($img.attr('src'), context.baseUrl) === href) {
+            return text;
+        }
+
+        // 需要编码的地址不能写成 <...> 自动链接，改用普通链接
+        const destination = linkDestination(href);
+        const bare = !text || $node.text().trim() === href;
+        if (bare && destination === href) return `<${href}>`;
+        return `[${bare ? escapeText(href) : text}](${destination})`;
+    }
+
+    if (name === 'pre') {
+        return block(codeFence($node.text(), codeLanguage($, node)));
+    }
+
+    if (name === 'code') {
+        return inlineCode($node.text());
+    }
+
+    if (name === 'strong' || name === 'b') {
+        const text = children().trim();
+        return text ? `**${text}**` : '';
+    }
+
+    if (name === 'em' || name === 'i') {
+        const text = children().trim();
+        return text ? `*${text}*` : '';
+    }
+
+    if (name === 'del' || name === 's') {
+        const text = children().trim();
+        return text ? `~~${text}~~` : '';
+    }
+
+    if (HEADING_TAGS.has(name)) {
+        return block(`${'#'.repeat(Number(name[1]))} ${children().trim()}`);
+    }
+
+    if (name === 'hr') {
+        return block('---');
+    }
+
+    if (name === 'blockquote') {
+        const text = normalize(children());
+        return block(text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    }
+
+    if (name === 'ul' || name === 'ol') {
+        const ordered = name === 'ol';
+        const items = $node.children('li').toArray().map((li, index) => {
+            const marker = ordered ? `${index + 1}.` : '-';
+            const text = normalize(convertNodes($, li.children || [], { ...context, listDepth: context.listDepth + 1 }));
+            // 列表项内的换行与子列表缩进到内容对齐的位置，多层嵌套时逐层累加
+            const continuation = ' '.repeat(marker.length + 1);
+            return `${marker} ${text.split('\n').join(`\n${continuation}`)}`;
+        });
+        return context.listDepth > 0 ? `\n${items.join('\n')}` : block(items.join('\n'));
+    }
+
+    if (BLOCK_TAGS.has(name)) {
+        return block(children());
+    }
+
+    return children();
+}
+
+/**
+ * 整理转换结果：合并多余空行，去掉行首行尾多余的空格（保留硬换行的两个空格）
+ * 代码块内的内容原样保留
+ * @param {string} markdown - 转换结果
+ * @returns {string}
+ */
+function normalize(markdown) {
+    let fence = null;
+
+    const lines = markdown.split('\n').map(line => {
+        const fenceMatch = line.match(/^\s*(`{3,})/);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1] === fence) fence = null;
+            return line;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            return line.trim();
+        }
+
+        const hardBreak = / {2}$/.test(line) && line.trim() !== '';
+        const trimmed = line.replace(/\s+$/, '').replace(/^ (?=\S)/, '');
+        return hardBreak ? `${trimmed}  ` : trimmed;
+    });
+
+    return lines.join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/ {2}\n(?=\n|$)/g, '\n')
+        .trim();
+}
+
+/**
+ * 将正文元素转换为 Markdown
+ * @param {Object} $ - cheerio对象
+ * @param {Object} element - 正文元素（.topic_content、.reply_content 等）
+ * @param {Object} options - 转换选项
+ * @param {string} options.baseUrl - 站点地址，用于补全相对链接
+ * @returns {string} Markdown 文本
+ */
+export function htmlToMarkdown($, element, options = {}) {
+    if (!element || $(element).length === 0) return '';
+
+    const context = { baseUrl: options.baseUrl || '', listDepth: 0 };
+    return normalize(convertNodes($, $(element).contents().toArray(), context));
+}
@@ -0,0 +1,197 @@
+import { AbortError, parseRetryAfter } from './errors.js';
+
+/**
+ * 计算指数退避的等待时间（带随机抖动）
+ * 第 n 次退避等待 baseDelay * 2^(n-1)，不超过 maxDelay，再随机减少最多 jitter 比例，
+ * 避免多个请求在同一时刻重新开始
+ * @param {number} attempt - 第几次退避，从1开始
+ * @param {Object} options - 退避选项
+ * @param {number} options.baseDelay - 第一次退避的等待时间（毫秒），默认1000
+ * @param {number} options.maxDelay - 最长等待时间（毫秒），默认60000
+ * @param {number} options.jitter - 随机抖动比例（0~1），默认0.5
+ * @returns {number} 等待时间（毫秒）
+ */
+export function computeBackoff(attempt, options = {}) {
+    const baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+    const maxDelay = options.maxDelay !== undefined ? options.maxDelay : 60000;
+    const jitter = options.jitter !== undefined ? options.jitter : 0.5;
+
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+    return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+/**
+ * 判断响应状态码是否说明服务器需要降低请求速度
+ * @param {number} status - HTTP状态码
+ * @returns {boolean}
+ */
+export function isThrottleStatus(status) {
+    return status === 429 || status === 403 || status >= 500;
+}
+
+/**
+ * 读取URL的主机名，限速按主机分别计算
+ * @param {string} url - 请求URL
+ * @returns {string}
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * 等待指定时间，signal 中止时立即以 AbortError 结束
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} signal - 中止信号，可选
+ * @param {string} url - 请求URL，用于错误信息
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal, url) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError(`请求已中止: ${url}`, { url }));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * 按主机限速的令牌桶
+ *
+ * - 每个主机一个令牌桶，以 requestsPerSecond 的速度补充，最多累积 burst 个
+ * - 收到 429/403/5xx 响应后暂停该主机的全部请求：有 Retry-After 时按其等待，
+ *   否则按连续失败次数指数退避；收到正常响应后重置
+ * - 同一个解析器实例的所有请求（包括并发请求和官方API请求）共用一个限速器
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options - 限速选项
+     * @param {number} options.requestsPerSecond - 每个主机每秒最多请求数，默认1
+     * @param {number} options.burst - 空闲后允许连续发出的请求数，默认3
+     * @param {number} options.baseDelay - 第一次退避的等待时间（毫秒），默认1000
+     * @param {number} options.maxDelay - 最长退避时间（毫秒），默认60000
+     * @param {number} options.jitter - 退避时间的随机抖动比例（0~1），默认0.5
+     */
+    constructor(options = {}) {
+        this.requestsPerSecond = options.requestsPerSecond || 1;
+        this.burst = options.burst || 3;
+        this.backoff = {
+            baseDelay: options.baseDelay !== undefined ? options.baseDelay : 1000,
+            maxDelay: options.maxDelay !== undefined ? options.maxDelay : 60000,
+            jitter: options.jitter !== undefined ? options.jitter : 0.5
+        };
+        this.buckets = new Map();
+    }
+
+    /**
+     * 获取主机对应的令牌桶
+     * @param {string} host - 主机名
+     * @returns {Object} { tokens, updatedAt, pausedUntil, failures }
+     */
+    bucketFor(host) {
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, { tokens: this.burst, updatedAt: Date.now(), pausedUntil: 0, failures: 0 });
+        }
+        return this.buckets.get(host);
+    }
+
+    /**
+     * 等待直到可以向该主机发出请求
+     * 退避可能长达 maxDelay，等待期间 signal 中止时立即以 AbortError 结束，不占用令牌
+     * @param {string} url - 请求URL
+     * @param {Object} options - 选项
+     * @param {AbortSignal} options.signal - 中止信号
+     * @returns {Promise<number>} 实际等待的时间（毫秒）
+     */
+    async acquire(url, options = {}) {
+        const bucket = this.bucketFor(hostOf(url));
+        const startedAt = Date.now();
+
+        for (;;) {
+            if (options.signal && options.signal.aborted) {
+                throw new AbortError(`请求已中止: ${url}`, { url });
+            }
+
+            const now = Date.now();
+
+            // 退避期间不发出任何请求
+            if (bucket.pausedUntil > now) {
+                await sleep(bucket.pausedUntil - now, options.signal, url);
+                continue;
+            }
+
+            bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.requestsPerSecond / 1000);
+            bucket.updatedAt = now;
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return now - startedAt;
+            }
+
+            const wait = Math.ceil((1 - bucket.tokens) * 1000 / this.requestsPerSecond);
+            await sleep(wait, options.signal, url);
+        }
+    }
+
+    /**
+     * 根据响应调整该主机的限速状态
+     * @param {string} url - 请求URL
+     * @param {Object} response - 传输层响应 { status, headers }
+     * @returns {number} 需要暂停的时间（毫秒），不需要暂停时为0
+     */
+    record(url, response) {
+        if (isThrottleStatus(response.status)) {
+            const headers = response.headers || {};
+            return this.pause(url, parseRetryAfter(headers['retry-after'] || headers['Retry-After']));
+        }
+
+        this.bucketFor(hostOf(url)).failures = 0;
+        return 0;
+    }
+
+    /**
+     * 暂停该主机的请求
+     * @param {string} url - 请求URL
+     * @param {number|null} retryAfter - 服务器要求等待的时间（毫秒），没有时按指数退避计算
+     * @returns {number} 暂停的时间（毫秒）
+     */
+    pause(url, retryAfter = null) {
+        const bucket = this.bucketFor(hostOf(url));
+        bucket.failures++;
+
+        const delay = retryAfter !== null && retryAfter !== undefined
+            ? retryAfter
+            : computeBackoff(bucket.failures, this.backoff);
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+
+        return delay;
+    }
+}
+
+/**
+ * 不限速的限速器，rateLimit 为 false 时使用
+ */
+export const unlimitedRateLimiter = {
+    acquire: async () => 0,
+    record: () => 0,
+    pause: () => 0
+};
+
+/**
+ * 将 rateLimit 选项转换为限速器
+ * @param {Object|boolean|RateLimiter} rateLimit - 限速选项、限速器实例（可在多个解析器之间共用），或 false 关闭限速
+ * @returns {Object} 限速器
+ */
+export function resolveRateLimiter(rateLimit) {
+    if (rateLimit === false) return unlimitedRateLimiter;
+    if (rateLimit && typeof rateLimit.acquire === 'function') return rateLimit;
+    return new RateLimiter(rateLimit || {});
+}
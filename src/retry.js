@@ -0,0 +1,129 @@
+import { computeBackoff } from './rate-limiter.js';
+import { AbortError, isPermanentError } from './errors.js';
+
+/**
+ * 默认重试策略
+ * - attempts：总尝试次数（包括第一次），默认3
+ * - backoff：退避选项 { baseDelay, maxDelay, jitter }，或 (attempt, error) => 毫秒 的函数
+ * - statuses：可以重试的HTTP状态码
+ * - errors：可以重试的错误类型（错误名或错误类），或 (error) => boolean 的函数
+ * - onRetry：每次重试前调用，参数为 { url, attempt, attempts, delay, error }
+ */
+export const DEFAULT_RETRY = {
+    attempts: 3,
+    backoff: { baseDelay: 1000, maxDelay: 30000, jitter: 0.5 },
+    statuses: [408, 429, 500, 502, 503, 504],
+    errors: ['TimeoutError', 'NetworkError', 'RateLimitedError'],
+    onRetry: null
+};
+
+/**
+ * 将 retry 选项转换为重试策略
+ * @param {Object|number|boolean} retry - 重试选项：{ attempts, backoff, statuses, errors, onRetry }、总尝试次数，或 false 不重试
+ * @param {Object} base - 作为默认值的重试策略，用于在解析器的策略上覆盖单次调用的选项
+ * @returns {Object} 重试策略
+ */
+export function resolveRetryPolicy(retry, base = DEFAULT_RETRY) {
+    if (retry === undefined || retry === null || retry === true) return base;
+    if (retry === false) return { ...base, attempts: 1 };
+    if (typeof retry === 'number') return { ...base, attempts: retry };
+    return { ...base, ...retry };
+}
+
+/**
+ * 判断错误是否属于可重试的类型
+ * 不存在、需要登录、受限等永久性错误重试也不会成功，被中止的请求也不应继续，始终不重试
+ * @param {Error} error - 错误对象
+ * @param {Object} policy - 重试策略
+ * @returns {boolean}
+ */
+export function isRetryableError(error, policy) {
+    if (isPermanentError(error) || error instanceof AbortError) return false;
+
+    if (typeof policy.errors === 'function') {
+        return Boolean(policy.errors(error));
+    }
+
+    const matchesType = (policy.errors || []).some(type => (typeof type === 'function'
+        ? error instanceof type
+        : error.name === type));
+    if (matchesType) return true;
+
+    return typeof error.status === 'number' && (policy.statuses || []).includes(error.status);
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间
+ * 服务器通过 Retry-After 要求的等待时间更长时以它为准
+ * @param {Object} policy - 重试策略
+ * @param {number} attempt - 第几次重试，从1开始
+ * @param {Error} error - 上一次的错误
+ * @returns {number} 等待时间（毫秒）
+ */
+function retryDelay(policy, attempt, error) {
+    const delay = typeof policy.backoff === 'function'
+        ? policy.backoff(attempt, error)
+        : computeBackoff(attempt, policy.backoff);
+
+    return Math.max(delay || 0, error.retryAfter || 0);
+}
+
+/**
+ * 等待指定时间，signal 中止时立即结束
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} signal - 中止信号，可选
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        }
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * 按重试策略执行请求
+ * @param {Function} task - 发出一次请求的函数 () => Promise<any>
+ * @param {Object} policy - 重试策略
+ * @param {Object} context - 请求上下文
+ * @param {string} context.url - 请求URL，传给 onRetry
+ * @param {Object} context.retryStats - 累计重试次数的对象 { retries }，可选
+ * @param {Object} context.logger - 日志器，可选，每次重试输出一条警告
+ * @param {AbortSignal} context.signal - 中止信号，可选，中止后不再发起新的尝试
+ * @returns {Promise<any>} 请求结果
+ */
+export async function withRetry(task, policy, context = {}) {
+    const attempts = Math.max(1, policy.attempts || 1);
+
+    for (let attempt = 1; ; attempt++) {
+        if (context.signal && context.signal.aborted) {
+            throw new AbortError(`请求已中止: ${context.url}`, { url: context.url });
+        }
+
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= attempts || !isRetryableError(error, policy)) {
+                throw error;
+            }
+
+            const delay = retryDelay(policy, attempt, error);
+            if (context.retryStats) {
+                context.retryStats.retries++;
+            }
+            if (context.logger) {
+                context.logger.warn(`⚠️ ${error.message}，${delay}ms 后第 ${attempt} 次重试`);
+            }
+            if (typeof policy.onRetry === 'function') {
+                policy.onRetry({ url: context.url, attempt, attempts, delay, error });
+            }
+
+            await wait(delay, context.signal);
+        }
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * 读取URL的主机名（不含端口），无法解析时返回空字符串
+ * @param {string} url - URL
+ * @returns {string}
+ */
+export function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * 判断主机名是否属于某个域名（相同或为其子域名）
+ * @param {string} host - 主机名
+ * @param {string} domain - 域名
+ * @returns {boolean}
+ */
+export function domainMatches(host, domain) {
+    return Boolean(host && domain) && (host === domain || host.endsWith(`.${domain}`));
+}
+
+// V2EX 自己的域名，登录会话只发往这些主机和解析器的 baseUrl 主机
+const V2EX_DOMAINS = ['v2ex.com', 'v2ex.co'];
+
+/**
+ * 判断主机名是否为 V2EX 的域名
+ * @param {string} host - 主机名
+ * @returns {boolean}
+ */
+export function isV2exHost(host) {
+    return V2EX_DOMAINS.some(domain => domainMatches(host, domain));
+}
+
+/**
+ * Cookie在容器中的键：同一个域名下同名的Cookie只保留一个
+ */
+function cookieKey(domain, name) {
+    return `${domain || ''}\t${name}`;
+}
+
+/**
+ * 简单的Cookie容器
+ * 接口与 tough-cookie 的 CookieJar 保持一致（getCookieString / setCookie），
+ * 因此 session 选项也可以直接传入 tough-cookie 实例
+ *
+ * 每个Cookie记录所属的域名：响应设置的Cookie属于响应的主机（带 Domain 属性时属于该域名及其子域名），
+ * 只发往匹配的主机；构造时传入的Cookie属于 options.domain，没有指定时不限主机
+ */
+export class CookieJar {
+    /**
+     * @param {Object} cookies - 初始Cookie，如 { A2: '...' }
+     * @param {Object} options - 选项
+     * @param {string} options.domain - 初始Cookie所属的域名，如 v2ex.com
+     */
+    constructor(cookies = {}, options = {}) {
+        this.domain = options.domain ? options.domain.toLowerCase() : null;
+        this.cookies = new Map();
+        Object.entries(cookies).forEach(([name, value]) => this.set(name, value));
+    }
+
+    /**
+     * 读取Cookie值
+     * @param {string} name - Cookie名
+     * @param {string} url - 只读取发往该URL的Cookie，可选
+     * @returns {string|undefined}
+     */
+    get(name, url) {
+        const cookie = this.matching(url).find(item => item.name === name);
+        return cookie ? cookie.value : undefined;
+    }
+
+    /**
+     * 设置Cookie值，属于构造时指定的域名
+     * @param {string} name - Cookie名
+     * @param {string} value - Cookie值
+     */
+    set(name, value) {
+        this.store({ name, value, domain: this.domain, hostOnly: false });
+    }
+
+    /**
+     * 保存一个Cookie
+     * 没有所属域名的同名Cookie（构造时传入且未指定域名）会被取代
+     * @param {Object} cookie - { name, value, domain, hostOnly }
+     */
+    store(cookie) {
+        this.cookies.delete(cookieKey(null, cookie.name));
+        this.cookies.set(cookieKey(cookie.domain, cookie.name), cookie);
+    }
+
+    /**
+     * 删除Cookie
+     * @param {string} name - Cookie名
+     * @param {string|null} domain - 所属域名
+     */
+    remove(name, domain) {
+        this.cookies.delete(cookieKey(null, name));
+        this.cookies.delete(cookieKey(domain, name));
+    }
+
+    /**
+     * 发往URL的Cookie
+     * @param {string} url - 请求URL，不提供时返回全部Cookie
+     * @returns {Array<Object>}
+     */
+    matching(url) {
+        const cookies = Array.from(this.cookies.values());
+        if (url === undefined) return cookies;
+
+        const host = hostnameOf(url);
+        return cookies.filter(cookie => !cookie.domain ||
+            (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)));
+    }
+
+    /**
+     * 生成请求头中的Cookie字符串
+     * V2EX 的Cookie都在根路径下，这里只区分域名，不区分路径
+     * @param {string} url - 请求URL
+     * @returns {Promise<string>}
+     */
+    async getCookieString(url) {
+        return this.matching(url)
+            .map(cookie => `${cookie.name}=${cookie.value}`)
+            .join('; ');
+    }
+
+    /**
+     * 保存响应中的 Set-Cookie
+     * 过期或 Max-Age=0 的Cookie会被删除；Domain 与响应主机不符的Cookie会被忽略
+     * @param {string} setCookie - 单条 Set-Cookie 响应头
+     * @param {string} url - 响应的URL
+     * @returns {Promise<void>}
+     */
+    async setCookie(setCookie, url) {
+        const [pair, ...attributes] = String(setCookie).split(';');
+        const separatorIndex = pair.indexOf('=');
+        if (separatorIndex <= 0) return;
+
+        const name = pair.slice(0, separatorIndex).trim();
+        const value = pair.slice(separatorIndex + 1).trim();
+        const host = url === undefined ? null : hostnameOf(url);
+
+        let domainAttribute = null;
+        let expired = false;
+        attributes.forEach(attribute => {
+            const [key, attributeValue = ''] = attribute.split('=').map(part => part.trim());
+            if (/^domain$/i.test(key) && attributeValue) domainAttribute = attributeValue.replace(/^\./, '').toLowerCase();
+            if (/^max-age$/i.test(key) && Number(attributeValue) <= 0) expired = true;
+            if (/^expires$/i.test(key) && Date.parse(attributeValue) <= Date.now()) expired = true;
+        });
+
+        // 主机不能为其他域名设置Cookie
+        if (domainAttribute && host !== null && !domainMatches(host, domainAttribute)) return;
+
+        const domain = domainAttribute || host || this.domain;
+        if (expired || value === '') {
+            this.remove(name, domain);
+        } else {
+            this.store({ name, value, domain, hostOnly: !domainAttribute && host !== null });
+        }
+    }
+}
+
+/**
+ * 将 session 选项转换为Cookie容器
+ *
+ * - 字符串：单独的 A2 Cookie 值，或完整的 Cookie 字符串（如 "A2=...; A2O=..."）
+ * - 普通对象：Cookie名到值的映射，如 { A2: '...' }
+ * - 带 getCookieString 方法的对象：直接作为Cookie容器使用
+ *
+ * @param {string|Object} session - session 选项
+ * @param {Object} options - 选项
+ * @param {string} options.domain - 字符串和对象形式的Cookie所属的域名，如 v2ex.com
+ * @returns {Object|null} Cookie容器，未提供时返回 null
+ */
+export function createSession(session, options = {}) {
+    if (!session) return null;
+
+    if (typeof session.getCookieString === 'function') {
+        return session;
+    }
+
+    if (typeof session === 'string') {
+        if (!session.includes('=')) {
+            return new CookieJar({ A2: session }, options);
+        }
+
+        const cookies = {};
+        session.split(';').forEach(pair => {
+            const separatorIndex = pair.indexOf('=');
+            if (separatorIndex > 0) {
+                cookies[pair.slice(0, separatorIndex).trim()] = pair.slice(separatorIndex + 1).trim();
+            }
+        });
+        return new CookieJar(cookies, options);
+    }
+
+    return new CookieJar(session, options);
+}
+
+/**
+ * 从页面顶栏读取当前登录的用户名
+ * @param {Object} $ - cheerio对象
+ * @returns {string|null} 用户名，未登录或页面没有顶栏时返回 null
+ */
+export function detectLoggedInUser($) {
+    const $link = $('#Top .tools a[href^="/member/"]').first();
+    if ($link.length === 0) return null;
+
+    const match = $link.attr('href').match(/^\/member\/([^\/?#]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * 判断页面顶栏是否显示为未登录状态（带有登录链接）
+ * 没有顶栏的页面（如API响应、局部页面）返回 false
+ * @param {Object} $ - cheerio对象
+ * @returns {boolean}
+ */
+export function isSignedOutPage($) {
+    return $('#Top .tools a[href^="/signin"]').length > 0;
+}
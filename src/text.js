@@ -0,0 +1,150 @@
+/**
+ * 从正文元素中提取纯文本
+ *
+ * - HTML 实体由 cheerio 在解析时解码（包括 &#39;、&#x2F;、&hellip; 等数字和命名实体）
+ * - <br> 转换为换行，段落、列表项、标题等块级元素各占一行
+ * - 源码中的换行和缩进合并为一个空格，&nbsp; 视为普通空格
+ * - <pre> 中的代码原样保留
+ * - 去掉行首行尾空白，连续空行最多保留一行
+ */
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+    'thead', 'tr', 'ul'
+]);
+
+// 不属于正文的元素
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+
+/**
+ * 按行收集文本
+ */
+class LineBuilder {
+    constructor() {
+        this.lines = [];
+        this.current = '';
+    }
+
+    /**
+     * 追加行内文本
+     * @param {string} text - 文本
+     */
+    append(text) {
+        this.current += text;
+    }
+
+    /**
+     * 结束当前行（<br>）
+     */
+    newline() {
+        this.lines.push({ text: this.current, preformatted: false });
+        this.current = '';
+    }
+
+    /**
+     * 块级元素边界：当前行有内容时才换行，避免嵌套的块产生多余空行
+     */
+    boundary() {
+        if (this.current.trim() !== '') {
+            this.newline();
+        } else {
+            this.current = '';
+        }
+    }
+
+    /**
+     * 追加原样保留的代码块
+     * @param {string} text - 代码文本
+     */
+    preformatted(text) {
+        this.boundary();
+        text.replace(/\n$/, '').split('\n').forEach(line => {
+            this.lines.push({ text: line, preformatted: true });
+        });
+    }
+
+    /**
+     * 生成最终文本
+     * @returns {string}
+     */
+    toString() {
+        this.boundary();
+
+        const lines = this.lines.map(line => (line.preformatted
+            ? line.text.replace(/\s+$/, '')
+            : line.text.replace(/ {2,}/g, ' ').trim()));
+
+        // 连续空行最多保留一行
+        const result = [];
+        lines.forEach(line => {
+            if (line === '' && (result.length === 0 || result[result.length - 1] === '')) return;
+            result.push(line);
+        });
+
+        while (result.length > 0 && result[result.length - 1] === '') {
+            result.pop();
+        }
+
+        return result.join('\n');
+    }
+}
+
+/**
+ * 递归收集节点文本
+ * @param {Array<Object>} nodes - DOM节点
+ * @param {LineBuilder} builder - 行收集器
+ */
+function collect(nodes, builder) {
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            builder.append(node.data.replace(/[ \t\r\n\f]+/g, ' ').replace(/\u00a0/g, ' '));
+            continue;
+        }
+
+        if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') continue;
+
+        const name = node.name.toLowerCase();
+
+        if (SKIPPED_TAGS.has(name)) continue;
+
+        if (name === 'br') {
+            builder.newline();
+        } else if (name === 'pre') {
+            builder.preformatted(textContent(node));
+            builder.boundary();
+        } else if (BLOCK_TAGS.has(name)) {
+            builder.boundary();
+            collect(node.children || [], builder);
+            builder.boundary();
+        } else {
+            collect(node.children || [], builder);
+        }
+    }
+}
+
+/**
+ * 读取节点的原始文本（用于 <pre>，<br> 转换为换行）
+ * @param {Object} node - DOM节点
+ * @returns {string}
+ */
+function textContent(node) {
+    if (node.type === 'text') return node.data;
+    if (node.type === 'tag' && node.name.toLowerCase() === 'br') return '\n';
+    return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * 提取元素的纯文本
+ * @param {Object} $ - cheerio对象
+ * @param {Object} element - 正文元素（.topic_content、.reply_content 等）
+ * @returns {string} 纯文本，没有元素时返回空字符串
+ */
+export function extractText($, element) {
+    if (!element || $(element).length === 0) return '';
+
+    const builder = new LineBuilder();
+    collect($(element).contents().toArray(), builder);
+    return builder.toString();
+}
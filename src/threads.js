@@ -0,0 +1,106 @@
+/**
+ * 根据 @会员 和 #楼层引用 还原回复之间的对话关系
+ *
+ * 每条回复的上级按以下顺序确定：
+ * 1. 引用了更早的楼层（#N），且该楼层的作者与 @ 的会员一致或没有 @ 任何人
+ * 2. @ 的第一个会员在本楼之前最近的一条回复
+ * 3. 都没有时视为直接回复主题（replyTo 为 null）
+ */
+
+/**
+ * 为每条回复确定上级回复
+ * @param {Array<Object>} replies - 按楼层排列的回复（需要 floor、author 和 entities）
+ * @returns {Array<Object|null>} 与 replies 一一对应的 { floor, author, via }，直接回复主题时为 null
+ */
+function resolveParents(replies) {
+    const byFloor = new Map();
+    const latestByAuthor = new Map();
+
+    return replies.map(reply => {
+        const floor = Number(reply.floor);
+        const author = reply.author ? reply.author.name : '';
+        const entities = reply.entities || [];
+        const mentions = entities.filter(entity => entity.type === 'mention').map(entity => entity.username);
+
+        let parent = null;
+
+        // 楼层引用只能指向更早的楼层
+        for (const entity of entities) {
+            if (entity.type !== 'floor' || Number(entity.floor) >= floor) continue;
+
+            const target = byFloor.get(Number(entity.floor));
+            if (target && (mentions.length === 0 || mentions.includes(target.author.name))) {
+                parent = { floor: target.floor, author: target.author.name, via: 'floor' };
+                break;
+            }
+        }
+
+        if (!parent) {
+            for (const username of mentions) {
+                const target = latestByAuthor.get(username);
+                if (target && username !== author) {
+                    parent = { floor: target.floor, author: username, via: 'mention' };
+                    break;
+                }
+            }
+        }
+
+        byFloor.set(floor, reply);
+        if (author) {
+            latestByAuthor.set(author, reply);
+        }
+
+        return parent;
+    });
+}
+
+/**
+ * 还原回复的对话树
+ * @param {Array<Object>} replies - 按楼层排列的回复
+ * @returns {Object} { replyTo, threads, interactions }
+ * - replyTo：与 replies 一一对应的上级回复 { floor, author, via }，via 为 floor 或 mention
+ * - threads：对话树 [{ floor, id, author, children }]，根节点是直接回复主题的回复
+ * - interactions：会员之间的回复关系 [{ from, to, count, floors }]，按次数从多到少排列，不含回复自己
+ */
+export function buildReplyThreads(replies) {
+    const replyTo = resolveParents(replies);
+    const nodes = new Map();
+    const threads = [];
+
+    replies.forEach((reply, index) => {
+        const node = {
+            floor: reply.floor,
+            id: reply.id,
+            author: reply.author ? reply.author.name : '',
+            children: []
+        };
+        nodes.set(reply.floor, node);
+
+        const parent = replyTo[index] ? nodes.get(replyTo[index].floor) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            threads.push(node);
+        }
+    });
+
+    const edges = new Map();
+    replies.forEach((reply, index) => {
+        const parent = replyTo[index];
+        const from = reply.author ? reply.author.name : '';
+        if (!parent || !from || from === parent.author) return;
+
+        const key = `${from}\n${parent.author}`;
+        if (!edges.has(key)) {
+            edges.set(key, { from: from, to: parent.author, count: 0, floors: [] });
+        }
+        const edge = edges.get(key);
+        edge.count++;
+        edge.floors.push(reply.floor);
+    });
+
+    // 次数相同的保持首次出现的顺序
+    const interactions = Array.from(edges.values()).sort((a, b) => b.count - a.count);
+
+    return { replyTo, threads, interactions };
+}
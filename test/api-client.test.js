@@ -0,0 +1,175 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import V2exParser, { V2exApiClient, formatApiTime } from '../src/index.js';
+import { createFixtureFetcher } from './helpers.js';
+
+const TOKEN = 'test-token';
+const requests = [];
+
+const topic = {
+    id: 1070001,
+    title: 'API 模式测试主题',
+    content: '正文第一行\n正文第二行',
+    content_rendered: '正文第一行<br />正文第二行',
+    created: 1716168600,
+    last_modified: 1716172200,
+    member: { id: 20001, username: 'alice', avatar: 'https://cdn.v2ex.com/avatar/alice_large.png' },
+    node: { id: 90, name: 'python', title: 'Python' },
+    supplements: [
+        { id: 501, content: '附言内容', content_rendered: '附言&#39;内容&#39;', created: 1716170400 }
+    ]
+};
+
+const replyPages = {
+    1: [
+        { id: 1, content: '第一条', content_rendered: '第一条', created: 1716169500, member: { username: 'bob', avatar: 'https://cdn.v2ex.com/avatar/bob.png' } },
+        { id: 2, content: '', content_rendered: '<img src="https://i.imgur.com/x.png" alt="图" />', created: 1716169600, member: { username: 'carol', avatar: '' } }
+    ],
+    2: [
+        { id: 3, content: '打赏 9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', content_rendered: '打赏 9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', created: 1716169700, member: { username: 'bob', avatar: '' } }
+    ]
+};
+
+const routes = {
+    '/api/v2/member': () => ({ success: true, result: { id: 20001, username: 'alice' } }),
+    '/api/v2/topics/1070001': () => ({ success: true, result: topic }),
+    '/api/v2/topics/1070001/replies?p=1': () => ({ success: true, result: replyPages[1], pagination: { per_page: 2, total: 3, pages: 2 } }),
+    '/api/v2/topics/1070001/replies?p=2': () => ({ success: true, result: replyPages[2], pagination: { per_page: 2, total: 3, pages: 2 } }),
+    '/api/v2/nodes/python/topics?p=1': () => ({ success: true, result: [topic] }),
+    '/api/v2/notifications?p=1': () => ({ success: true, result: [{ id: 9, text: '提醒' }] }),
+    '/api/members/show.json?username=alice': () => ({
+        status: 'found',
+        id: 20001,
+        username: 'alice',
+        github: 'alice-gh',
+        twitter: 'alice_x',
+        tagline: '写代码的',
+        bio: '域名 alice.sol',
+        avatar_xlarge: 'https://cdn.v2ex.com/avatar/alice_xlarge.png',
+        created: 1272203146,
+        pro: 1
+    }),
+    '/api/members/show.json?username=ghost': () => ({ status: 'notfound' })
+};
+
+let server;
+let baseUrl;
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization });
+
+        const isPublic = req.url.startsWith('/api/members/');
+        if (!isPublic && req.headers.authorization !== `Bearer ${TOKEN}`) {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, message: 'Invalid token' }));
+            return;
+        }
+
+        const handler = routes[req.url];
+        res.writeHead(handler ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(handler ? handler() : { success: false, message: 'Not Found' }));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('formatApiTime 输出北京时间', () => {
+    assert.equal(formatApiTime(1716168600), '2024-05-20 09:30:00 +08:00');
+    assert.equal(formatApiTime(0), '');
+});
+
+test('V2exApiClient 携带令牌访问v2接口', async () => {
+    const client = new V2exApiClient({ baseUrl, token: TOKEN });
+
+    assert.deepEqual(await client.getCurrentMember(), { id: 20001, username: 'alice' });
+    assert.equal((await client.getNodeTopics('python')).topics[0].id, 1070001);
+    assert.deepEqual((await client.getNotifications()).notifications, [{ id: 9, text: '提醒' }]);
+    assert.equal(requests.at(-1).authorization, `Bearer ${TOKEN}`);
+});
+
+test('V2exApiClient 在没有令牌或令牌无效时报错', async () => {
+    await assert.rejects(() => new V2exApiClient({ baseUrl }).getTopic(1070001), /个人访问令牌/);
+
+    await assert.rejects(
+        () => new V2exApiClient({ baseUrl, token: 'wrong' }).getTopic(1070001),
+        error => error.status === 401 && /Invalid token/.test(error.message)
+    );
+});
+
+test('mode为api时 parsePost 返回与页面解析相同结构的数据', async () => {
+    const parser = new V2exParser({ baseUrl, mode: 'api', token: TOKEN, logger: false });
+    const post = await parser.parsePost('1070001');
+
+    assert.equal(post.type, 'post');
+    assert.equal(post.source, 'api');
+    assert.equal(post.postId, '1070001');
+    assert.equal(post.title, 'API 模式测试主题');
+    assert.deepEqual(post.author, { name: 'alice', id: 'alice', avatar: 'https://cdn.v2ex.com/avatar/alice_large.png' });
+    assert.equal(post.postTime, '2024-05-20 09:30:00 +08:00');
+    assert.equal(post.content, '正文第一行\n正文第二行');
+    assert.deepEqual(post.node, { name: 'python', title: 'Python', slug: 'python' });
+    assert.deepEqual(post.lastEdited, { time: '2024-05-20 10:30:00 +08:00', timeText: '' });
+    assert.deepEqual(post.supplements, [
+        { index: 1, time: '2024-05-20 10:00:00 +08:00', content: '附言\'内容\'', contentHtml: '附言&#39;内容&#39;' }
+    ]);
+    assert.deepEqual(post.replies.map(reply => reply.floor), ['1', '2', '3']);
+    assert.deepEqual(post.replies[1].images, [{ src: 'https://i.imgur.com/x.png', alt: '图' }]);
+    assert.deepEqual(post.replies[2].solanaAddresses, ['9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM']);
+    assert.deepEqual(post.replyUserIds, ['bob', 'carol']);
+    assert.deepEqual(post.statistics, { replyCount: 3, totalFloors: 4, totalPages: 2, retries: 0 });
+});
+
+test('mode为api时 format 为 markdown 输出 contentMarkdown', async () => {
+    const parser = new V2exParser({ baseUrl, mode: 'api', token: TOKEN, logger: false });
+    const post = await parser.parsePost('1070001', { format: 'markdown' });
+
+    assert.equal(post.contentMarkdown, '正文第一行  \n正文第二行');
+    assert.deepEqual(post.replies.map(reply => reply.contentMarkdown), [
+        '第一条',
+        '![图](https://i.imgur.com/x.png)',
+        '打赏 9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM'
+    ]);
+});
+
+test('mode为api时支持 threads 选项', async () => {
+    const parser = new V2exParser({ baseUrl, mode: 'api', token: TOKEN, logger: false });
+    const post = await parser.parsePost('1070001', { threads: true });
+
+    assert.deepEqual(post.replies.map(reply => reply.replyTo), [null, null, null]);
+    assert.deepEqual(post.threads.map(node => node.floor), ['1', '2', '3']);
+    assert.deepEqual(post.interactions, []);
+});
+
+test('mode为api时 parseUserInfo 返回与页面解析相同结构的数据', async () => {
+    const parser = new V2exParser({ baseUrl, mode: 'api', token: TOKEN, logger: false });
+    const user = await parser.parseUserInfo('alice');
+
+    assert.equal(user.type, 'user_info');
+    assert.equal(user.username, 'alice');
+    assert.equal(user.memberId, '20001');
+    assert.equal(user.avatar, 'https://cdn.v2ex.com/avatar/alice_xlarge.png');
+    assert.equal(user.signature, '写代码的');
+    assert.equal(user.joinTime, '2010-04-25 21:45:46 +08:00');
+    assert.equal(user.isPro, true);
+    assert.deepEqual(user.socialLinks.github, { url: 'https://github.com/alice-gh', username: 'alice-gh' });
+    assert.deepEqual(user.socialLinks.twitter, { url: 'https://x.com/alice_x', username: 'alice_x' });
+    assert.equal(user.solanaDomain, 'alice.sol');
+
+    await assert.rejects(() => parser.parseUserInfo('ghost'), /不存在/);
+});
+
+test('mode为api但没有令牌时回退到解析页面', async () => {
+    const fetcher = createFixtureFetcher({ 'https://v2ex.com/member/Livid': 'member-livid.html' });
+    const parser = new V2exParser({ mode: 'api', fetcher, logger: false });
+
+    const user = await parser.parseUserInfo('Livid');
+    assert.equal(user.memberId, '1');
+    assert.equal(user.source, undefined);
+    assert.deepEqual(fetcher.calls.map(call => call.url), ['https://v2ex.com/member/Livid']);
+});
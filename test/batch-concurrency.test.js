@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, { AbortError } from '../src/index.js';
+import { readFixture } from './helpers.js';
+
+const usernames = ['u1', 'u2', 'u3', 'u4', 'u5', 'u6'];
+
+/**
+ * 会员页传输层：每个会员的响应耗时不同，记录同时进行中的请求数
+ * 传入 signal 时与真实传输层一样在中止后立即失败
+ * @param {Object} delays - 用户名到耗时（毫秒）的映射，默认10
+ * @returns {Function} fetcher函数，带 calls 和 stats
+ */
+function createMemberFetcher(delays = {}) {
+    const calls = [];
+    const stats = { inFlight: 0, maxInFlight: 0 };
+
+    const fetcher = async (url, { signal } = {}) => {
+        calls.push({ url, time: Date.now() });
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+
+        const username = url.split('/').pop();
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, delays[username] !== undefined ? delays[username] : 10);
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new DOMException('This operation was aborted', 'AbortError'));
+                    }, { once: true });
+                }
+            });
+        } finally {
+            stats.inFlight--;
+        }
+
+        if (username === 'ghost') {
+            return { url, status: 404, headers: {}, data: '' };
+        }
+        return { url, status: 200, headers: {}, data: readFixture('member-livid.html') };
+    };
+
+    fetcher.calls = calls;
+    fetcher.stats = stats;
+    return fetcher;
+}
+
+test('parseMultipleUsers 按 concurrency 并发解析，结果保持输入顺序', async () => {
+    const fetcher = createMemberFetcher({ u1: 60, u2: 10, u3: 40, u4: 5, u5: 30, u6: 5 });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    const progress = [];
+
+    const results = await parser.parseMultipleUsers([...usernames, 'ghost'], {
+        concurrency: 3,
+        showProgress: false,
+        onProgress: info => progress.push(info)
+    });
+
+    assert.equal(fetcher.stats.maxInFlight, 3);
+    assert.deepEqual(results.map(result => result.username), [...usernames, 'ghost']);
+    assert.deepEqual(results.map(result => result.success), [true, true, true, true, true, true, false]);
+
+    // 每个用户各有 start 和 success/error，最后是 complete
+    for (const [index, username] of [...usernames, 'ghost'].entries()) {
+        const statuses = progress.filter(info => info.username === username);
+        assert.deepEqual(statuses.map(info => info.status), [
+            'start',
+            username === 'ghost' ? 'error' : 'success'
+        ]);
+        assert.ok(statuses.every(info => info.currentIndex === index + 1 && info.totalUsers === 7));
+    }
+    assert.equal(progress[progress.length - 1].status, 'complete');
+});
+
+test('并发批量解析仍受解析器的限速器控制', async () => {
+    const fetcher = createMemberFetcher({});
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: { requestsPerSecond: 20, burst: 1 } });
+
+    await parser.parseMultipleUsers(usernames.slice(0, 4), { concurrency: 4, showProgress: false });
+
+    const times = fetcher.calls.map(call => call.time);
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 40, `第${i + 1}个请求间隔 ${times[i] - times[i - 1]}ms`);
+    }
+});
+
+test('AbortSignal 中止后不再开始新的用户，并返回已完成的部分结果', async () => {
+    const fetcher = createMemberFetcher({ u1: 10, u2: 10, u3: 200 });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    const controller = new AbortController();
+
+    const pending = parser.parseMultipleUsers(usernames, {
+        concurrency: 1,
+        showProgress: false,
+        signal: controller.signal,
+        onProgress: info => {
+            if (info.status === 'success' && info.username === 'u2') {
+                setTimeout(() => controller.abort(), 20);
+            }
+        }
+    });
+
+    await assert.rejects(pending, error => {
+        assert.ok(error instanceof AbortError);
+        assert.deepEqual(error.partialResult.map(result => result.username), ['u1', 'u2']);
+        return true;
+    });
+
+    // u3 的请求被中止，之后的用户没有请求
+    assert.deepEqual(fetcher.calls.map(call => call.url.split('/').pop()), ['u1', 'u2', 'u3']);
+});
+
+test('parseMultiplePages 支持 concurrency 和 AbortSignal', async () => {
+    const fetcher = createMemberFetcher({ u1: 50, u2: 5, u3: 20 });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    const urls = ['u1', 'u2', 'u3'].map(username => `https://v2ex.com/member/${username}`);
+
+    const results = await parser.parseMultiplePages(urls, { concurrency: 3 });
+    assert.equal(fetcher.stats.maxInFlight, 3);
+    assert.deepEqual(results.map(result => result.url), urls);
+    assert.ok(results.every(result => result.success));
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(parser.parseMultiplePages(urls, { signal: controller.signal }), error => {
+        assert.equal(error.name, 'AbortError');
+        assert.deepEqual(error.partialResult, []);
+        return true;
+    });
+    assert.equal(fetcher.calls.length, 3);
+});
+
+test('中止的请求抛出 AbortError 且不重试', async () => {
+    const fetcher = createMemberFetcher({ Livid: 200 });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(parser.parseUserInfo('Livid', { signal: controller.signal }), AbortError);
+    assert.equal(fetcher.calls.length, 1);
+});
+
+test('批量解析未传入 timeout 时使用解析器的 timeout', async () => {
+    const timeouts = [];
+    const fetcher = async (url, { timeout }) => {
+        timeouts.push(timeout);
+        return { url, status: 200, headers: {}, data: readFixture('member-livid.html') };
+    };
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, timeout: 30000 });
+
+    await parser.parseUserInfo('u1');
+    await parser.parseMultipleUsers(['u2'], { showProgress: false });
+    for await (const _result of parser.iterateUsers(['u3'], { showProgress: false })) { /* 逐个处理 */ }
+    await parser.parseMultiplePages(['https://v2ex.com/member/u4']);
+    await parser.parseMultipleUsers(['u5'], { timeout: 5000, showProgress: false });
+
+    assert.deepEqual(timeouts, [30000, 30000, 30000, 30000, 5000]);
+});
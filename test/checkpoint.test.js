@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import V2exParser, { Checkpoint, FileCheckpointStore, MemoryCheckpointStore } from '../src/index.js';
+import { createFixtureFetcher, readFixture } from './helpers.js';
+
+const memberRoutes = {
+    'https://v2ex.com/member/u1': 'member-livid.html',
+    'https://v2ex.com/member/u2': 'member-livid.html',
+    'https://v2ex.com/member/u3': 'member-livid.html'
+};
+
+const topicUrl = 'https://v2ex.com/t/1110001';
+const topicRoutes = {
+    [topicUrl]: 'topic-long-p1.html',
+    [`${topicUrl}?p=2`]: 'topic-long-p2.html',
+    [`${topicUrl}?p=3`]: 'topic-long-p3.html',
+    [`${topicUrl}?p=4`]: 'topic-long-p4.html'
+};
+
+test('再次运行时跳过已完成的用户，只重新处理失败的用户', async () => {
+    const store = new MemoryCheckpointStore();
+    const first = new V2exParser({ fetcher: createFixtureFetcher(memberRoutes), logger: false, rateLimit: false });
+
+    const firstResults = await first.parseMultipleUsers(['u1', 'ghost', 'u2'], { checkpoint: store, showProgress: false });
+    assert.deepEqual(firstResults.map(result => result.success), [true, false, true]);
+    assert.deepEqual(Object.keys(store.state.completed).sort(), ['user:u1', 'user:u2']);
+    assert.equal(store.state.failed['user:ghost'].errorType, 'NotFoundError');
+    assert.equal(store.state.failed['user:ghost'].failures, 1);
+
+    // 第二次运行时 ghost 已经存在
+    const fetcher = createFixtureFetcher({ ...memberRoutes, 'https://v2ex.com/member/ghost': 'member-livid.html' });
+    const second = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    const statuses = [];
+
+    const results = await second.parseMultipleUsers(['u1', 'ghost', 'u2', 'u3'], {
+        checkpoint: store,
+        showProgress: false,
+        onProgress: info => statuses.push(`${info.username}:${info.status}`)
+    });
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [
+        'https://v2ex.com/member/ghost',
+        'https://v2ex.com/member/u3'
+    ]);
+    assert.deepEqual(results.map(result => [result.username, result.success, !!result.skipped]), [
+        ['u1', true, true], ['ghost', true, false], ['u2', true, true], ['u3', true, false]
+    ]);
+    assert.equal(results[0].data, null);
+    assert.deepEqual(statuses, [
+        'u1:skip', 'ghost:start', 'ghost:success', 'u2:skip', 'u3:start', 'u3:success', 'null:complete'
+    ]);
+    assert.deepEqual(store.state.failed, {});
+    assert.equal(Object.keys(store.state.completed).length, 4);
+});
+
+test('传入文件路径时使用 JSON 文件保存断点记录', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'v2ex-checkpoint-'));
+    const filePath = path.join(dir, 'state', 'pages.json');
+    const urls = Object.keys(memberRoutes);
+
+    try {
+        const first = new V2exParser({ fetcher: createFixtureFetcher(memberRoutes), logger: false, rateLimit: false });
+        await first.parseMultiplePages([...urls.slice(0, 2), 'https://v2ex.com/t/404'], { checkpoint: filePath });
+
+        const state = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        assert.equal(state.version, 1);
+        assert.deepEqual(Object.keys(state.completed), urls.slice(0, 2).map(url => `url:${url}`));
+        assert.deepEqual(Object.keys(state.failed), ['url:https://v2ex.com/t/404']);
+
+        const fetcher = createFixtureFetcher(memberRoutes);
+        const second = new V2exParser({ fetcher, logger: false, rateLimit: false });
+        const results = await second.parseMultiplePages(urls, { checkpoint: filePath });
+
+        assert.deepEqual(fetcher.calls.map(call => call.url), [urls[2]]);
+        assert.deepEqual(results.map(result => !!result.skipped), [true, true, false]);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('FileCheckpointStore 在文件不存在时返回 null', async () => {
+    const store = new FileCheckpointStore(path.join(os.tmpdir(), `v2ex-missing-${process.pid}.json`));
+    assert.equal(await store.load(), null);
+});
+
+test('iteratePostReplies 续抓时跳过已完成的分页，第1页和最后一页总会抓取', async () => {
+    const checkpoint = new Checkpoint(new MemoryCheckpointStore());
+    const { [`${topicUrl}?p=3`]: _missing, ...routes } = topicRoutes;
+    const first = new V2exParser({ fetcher: createFixtureFetcher(routes), logger: false, rateLimit: false });
+
+    for await (const _page of first.iteratePostReplies('1110001', { checkpoint })) { /* 逐页处理 */ }
+    // 第4页是最后一页，之后还可能有新回复，不记录完成
+    assert.deepEqual(Object.keys(checkpoint.completed), ['topic:1110001:p1', 'topic:1110001:p2']);
+    assert.deepEqual(checkpoint.failedKeys(), ['topic:1110001:p3']);
+
+    const fetcher = createFixtureFetcher(topicRoutes);
+    const second = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    const pages = [];
+    for await (const page of second.iteratePostReplies('1110001', { checkpoint })) {
+        pages.push(page);
+    }
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [topicUrl, `${topicUrl}?p=3`, `${topicUrl}?p=4`]);
+    assert.deepEqual(pages.map(page => [page.page, !!page.skipped]), [[1, false], [2, true], [3, false], [4, false]]);
+    assert.deepEqual(pages[1].replies, []);
+    assert.deepEqual(checkpoint.failedKeys(), []);
+});
+
+test('iterateUsers 在消费方处理完结果之后才记录完成', async () => {
+    const store = new MemoryCheckpointStore();
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(memberRoutes), logger: false, rateLimit: false });
+
+    for await (const result of parser.iterateUsers(['u1', 'u2', 'u3'], { checkpoint: store, showProgress: false })) {
+        if (result.username === 'u2') break;
+    }
+
+    assert.deepEqual(Object.keys(store.state.completed), ['user:u1']);
+});
+
+test('checkpoint 选项类型不正确时抛出错误', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(memberRoutes), logger: false, rateLimit: false });
+    await assert.rejects(parser.parseMultipleUsers(['u1'], { checkpoint: 42, showProgress: false }), /checkpoint/);
+});
+
+test('最后一页不记为完成，续抓时能拿到两次运行之间的新回复', async () => {
+    const checkpoint = new Checkpoint(new MemoryCheckpointStore());
+    const { [`${topicUrl}?p=4`]: _lastPage, ...threePages } = topicRoutes;
+
+    // 第一次运行时帖子只有3页：第1页的分页信息改为3页
+    const firstPageHtml = readFixture('topic-long-p1.html');
+    const first = new V2exParser({
+        fetcher: createFixtureFetcher({ ...threePages, [topicUrl]: { body: firstPageHtml.replace(/<a[^>]*href="\?p=4"[^>]*>4<\/a>/g, '') } }),
+        logger: false,
+        rateLimit: false
+    });
+    const firstPages = [];
+    for await (const page of first.iteratePostReplies('1110001', { checkpoint })) {
+        firstPages.push(page.page);
+    }
+    assert.deepEqual(firstPages, [1, 2, 3]);
+    assert.deepEqual(Object.keys(checkpoint.completed), ['topic:1110001:p1', 'topic:1110001:p2']);
+
+    // 第二次运行时第3页排满，出现了第4页
+    const fetcher = createFixtureFetcher(topicRoutes);
+    const second = new V2exParser({ fetcher, logger: false, rateLimit: false });
+    for await (const _page of second.iteratePostReplies('1110001', { checkpoint })) { /* 逐页处理 */ }
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [topicUrl, `${topicUrl}?p=3`, `${topicUrl}?p=4`]);
+    assert.deepEqual(Object.keys(checkpoint.completed), ['topic:1110001:p1', 'topic:1110001:p2', 'topic:1110001:p3']);
+});
+
+test('保存断点记录失败时输出警告，批量任务照常返回全部结果', async () => {
+    const warnings = [];
+    const logger = { warn: (...args) => warnings.push(args.join(' ')) };
+    const store = { load: async () => null, save: async () => { throw new Error('磁盘已满'); } };
+    const fetcher = createFixtureFetcher(memberRoutes);
+    const parser = new V2exParser({ fetcher, logger, rateLimit: false });
+
+    const results = await parser.parseMultipleUsers(['u1', 'ghost', 'u2', 'u3'], {
+        checkpoint: store,
+        concurrency: 2,
+        showProgress: false
+    });
+
+    assert.deepEqual(results.map(result => result.success), [true, false, true, true]);
+    assert.equal(fetcher.calls.length, 4);
+    assert.ok(warnings.some(message => message.includes('user:ghost') && message.includes('磁盘已满')));
+    assert.ok(warnings.some(message => message.includes('user:u3')));
+});
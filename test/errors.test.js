@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, {
+    V2exError,
+    NotFoundError,
+    RateLimitedError,
+    LoginRequiredError,
+    ParseError,
+    TimeoutError
+} from '../src/index.js';
+import { createFixtureFetcher, readFixture } from './helpers.js';
+
+const topicUrl = 'https://v2ex.com/t/1080001';
+
+test('404 响应抛出 NotFoundError 并保留 URL、状态码和原始错误', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher({}), logger: false });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), error => {
+        assert.ok(error instanceof NotFoundError);
+        assert.ok(error instanceof V2exError);
+        assert.equal(error.name, 'NotFoundError');
+        assert.equal(error.url, topicUrl);
+        assert.equal(error.status, 404);
+        assert.match(error.message, /^解析V2EX页面失败: 请求失败，状态码 404/);
+        assert.ok(error.cause instanceof NotFoundError);
+        return true;
+    });
+});
+
+test('403 与 429 响应抛出 RateLimitedError 并读取 Retry-After', async () => {
+    const fetcher = createFixtureFetcher({
+        [topicUrl]: { status: 429, headers: { 'retry-after': '30' } },
+        'https://v2ex.com/t/1080002': { status: 403 }
+    });
+    // 限速器和重试都会按 Retry-After 等待，这里只验证错误类型
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: false });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), error => {
+        assert.ok(error instanceof RateLimitedError);
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 30000);
+        return true;
+    });
+    await assert.rejects(parser.parseV2exPage('https://v2ex.com/t/1080002'), RateLimitedError);
+});
+
+test('“访问过于频繁”提示页抛出 RateLimitedError', async () => {
+    const fetcher = createFixtureFetcher({ [topicUrl]: 'rate-limited.html' });
+    const parser = new V2exParser({ fetcher, logger: false, retry: false });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), error => {
+        assert.ok(error instanceof RateLimitedError);
+        assert.equal(error.status, 200);
+        assert.equal(error.url, topicUrl);
+        return true;
+    });
+});
+
+test('正文中提到“访问过于频繁”的主题正常解析', async () => {
+    const html = readFixture('topic-single.html').replace('大家都是怎么处理的？', '总是提示访问过于频繁，大家都是怎么处理的？');
+    const fetcher = createFixtureFetcher({ [topicUrl]: { body: html } });
+    const parser = new V2exParser({ fetcher, logger: false });
+
+    const post = await parser.parseV2exPage(topicUrl);
+    assert.match(post.content, /访问过于频繁/);
+});
+
+test('重定向到登录页时抛出 LoginRequiredError', async () => {
+    const fetcher = createFixtureFetcher({
+        [topicUrl]: { url: 'https://v2ex.com/signin?next=/t/1080001', body: '<html></html>' }
+    });
+    const parser = new V2exParser({ fetcher, logger: false });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), error => {
+        assert.ok(error instanceof LoginRequiredError);
+        assert.equal(error.url, topicUrl);
+        return true;
+    });
+});
+
+test('传输层超时转换为 TimeoutError', async () => {
+    const fetcher = async () => {
+        const error = new Error('timeout of 10ms exceeded');
+        error.code = 'ECONNABORTED';
+        throw error;
+    };
+    const parser = new V2exParser({ fetcher, logger: false, retry: false });
+
+    await assert.rejects(parser.parsePost('1080001', { pageDelay: 0 }), error => {
+        assert.ok(error instanceof TimeoutError);
+        assert.equal(error.url, topicUrl);
+        assert.equal(error.status, null);
+        assert.match(error.message, /^抓取多页帖子失败: 请求超时/);
+        return true;
+    });
+});
+
+test('无法识别的页面类型抛出 ParseError', async () => {
+    await assert.rejects(new V2exParser().parseHtml('<html></html>', 'https://v2ex.com/about'), error => {
+        assert.ok(error instanceof ParseError);
+        assert.equal(error.url, 'https://v2ex.com/about');
+        return true;
+    });
+});
+
+test('parseMultipleUsers 不重试 404 等永久性错误', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/member/Livid': 'member-livid.html'
+    });
+    const parser = new V2exParser({ fetcher, logger: false });
+
+    const results = await parser.parseMultipleUsers(['ghost', 'Livid'], { delay: 0, retryCount: 2 });
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [
+        'https://v2ex.com/member/ghost',
+        'https://v2ex.com/member/Livid'
+    ]);
+    assert.equal(results[0].success, false);
+    assert.equal(results[0].errorType, 'NotFoundError');
+    assert.equal(results[0].status, 404);
+    assert.equal(results[0].retryAttempts, 1);
+    assert.equal(results[1].success, true);
+});
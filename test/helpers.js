@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * 读取fixtures目录下保存的页面
+ * @param {string} name - 文件名
+ * @returns {string} 页面HTML
+ */
+export function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * 读取页面并加载为cheerio对象
+ * @param {string} name - 文件名
+ * @returns {Object} cheerio对象
+ */
+export function loadFixture(name) {
+    return cheerio.load(readFixture(name));
+}
+
+/**
+ * 创建基于fixtures的传输层，按URL返回保存的页面
+ * 未登记的URL返回404，所有请求（含请求时间 time）记录在 fetcher.calls 中
+ * @param {Object} routes - URL到文件名（或 { status, fixture, body, headers, url }）的映射，url 表示重定向后的地址
+ * @returns {Function} fetcher函数
+ */
+export function createFixtureFetcher(routes = {}) {
+    const calls = [];
+
+    const fetcher = async (url, requestOptions = {}) => {
+        calls.push({ url, time: Date.now(), ...requestOptions });
+
+        const route = routes[url];
+        if (!route) {
+            return { url, status: 404, headers: {}, data: '' };
+        }
+
+        const spec = typeof route === 'string' ? { fixture: route } : route;
+        return {
+            url: spec.url || url,
+            status: spec.status || 200,
+            headers: spec.headers || {},
+            data: spec.fixture ? readFixture(spec.fixture) : (spec.body || '')
+        };
+    };
+
+    fetcher.calls = calls;
+    return fetcher;
+}
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import V2exParser, { AbortError } from '../src/index.js';
+import { createFixtureFetcher } from './helpers.js';
+
+const topicUrl = 'https://v2ex.com/t/1110001';
+const topicRoutes = {
+    [topicUrl]: 'topic-long-p1.html',
+    [`${topicUrl}?p=2`]: 'topic-long-p2.html',
+    [`${topicUrl}?p=3`]: 'topic-long-p3.html',
+    [`${topicUrl}?p=4`]: 'topic-long-p4.html'
+};
+
+const memberRoutes = {
+    'https://v2ex.com/member/u1': 'member-livid.html',
+    'https://v2ex.com/member/u2': 'member-livid.html',
+    'https://v2ex.com/member/u3': 'member-livid.html',
+    'https://v2ex.com/member/u4': 'member-livid.html'
+};
+
+test('iteratePostReplies 逐页产出回复，合并后与 parseMultiPagePost 一致', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(topicRoutes), logger: false, rateLimit: false });
+
+    const pages = [];
+    for await (const page of parser.iteratePostReplies('1110001')) {
+        pages.push(page);
+    }
+
+    assert.deepEqual(pages.map(page => [page.page, page.totalPages, page.success]), [
+        [1, 4, true], [2, 4, true], [3, 4, true], [4, 4, true]
+    ]);
+    assert.equal(pages[0].replies, pages[0].post.replies);
+    assert.equal(pages[0].post.postId, '1110001');
+    assert.equal(pages[1].post, undefined);
+    assert.equal(pages[2].url, `${topicUrl}?p=3`);
+
+    const post = await parser.parseMultiPagePost('1110001');
+    assert.deepEqual(pages.flatMap(page => page.replies), post.replies);
+});
+
+test('iteratePostReplies 用 break 提前结束时不再抓取剩余分页', async () => {
+    const fetcher = createFixtureFetcher(topicRoutes);
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+
+    for await (const page of parser.iteratePostReplies('1110001')) {
+        if (page.page === 2) break;
+    }
+
+    // 第3、4页都不会再请求
+    assert.deepEqual(fetcher.calls.map(call => call.url), [topicUrl, `${topicUrl}?p=2`]);
+});
+
+test('iteratePostReplies 产出失败的分页而不中断', async () => {
+    const { [`${topicUrl}?p=3`]: _missing, ...routes } = topicRoutes;
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(routes), logger: false, rateLimit: false });
+
+    const pages = [];
+    for await (const page of parser.iteratePostReplies('1110001')) {
+        pages.push(page);
+    }
+
+    assert.deepEqual(pages.map(page => [page.page, page.success, page.status]), [
+        [1, true, undefined], [2, true, undefined], [3, false, 404], [4, true, undefined]
+    ]);
+    assert.deepEqual(pages[2].replies, []);
+    assert.equal(pages[2].errorType, 'NotFoundError');
+});
+
+test('iterateUsers 逐个产出用户结果并报告进度', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(memberRoutes), logger: false, rateLimit: false });
+    const statuses = [];
+
+    const results = [];
+    for await (const result of parser.iterateUsers(['u1', 'ghost', 'u2'], {
+        showProgress: false,
+        onProgress: info => statuses.push(`${info.username}:${info.status}`)
+    })) {
+        results.push(result);
+    }
+
+    assert.deepEqual(results.map(result => [result.username, result.success]), [
+        ['u1', true], ['ghost', false], ['u2', true]
+    ]);
+    assert.equal(results[0].data.username, 'Livid');
+    assert.deepEqual(statuses, [
+        'u1:start', 'u1:success', 'ghost:start', 'ghost:error', 'u2:start', 'u2:success', 'null:complete'
+    ]);
+});
+
+test('iterateUsers 并发时按完成先后产出，break 后不再开始新的用户', async () => {
+    const fixtureFetcher = createFixtureFetcher(memberRoutes);
+    const delays = { u1: 80, u2: 10, u3: 10, u4: 10 };
+    const started = [];
+    const fetcher = async (url, requestOptions) => {
+        const username = url.split('/').pop();
+        started.push(username);
+        await new Promise(resolve => setTimeout(resolve, delays[username] || 10));
+        return fixtureFetcher(url, requestOptions);
+    };
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+
+    const seen = [];
+    for await (const result of parser.iterateUsers(['u1', 'u2', 'u3', 'u4', 'u5'], { concurrency: 2, showProgress: false })) {
+        seen.push(result.username);
+        if (seen.length === 2) break;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.deepEqual(seen, ['u2', 'u3']);
+    // u2 空出的槽位在取下一个结果时才开始 u3，break 之后不再开始 u4
+    assert.deepEqual(started, ['u1', 'u2', 'u3']);
+});
+
+test('iteratePages 逐个产出页面结果，外部信号中止时抛出 AbortError', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(memberRoutes), logger: false, rateLimit: false });
+    const urls = Object.keys(memberRoutes);
+    const controller = new AbortController();
+
+    const seen = [];
+    await assert.rejects(async () => {
+        for await (const result of parser.iteratePages(urls, { signal: controller.signal })) {
+            seen.push(result.url);
+            if (seen.length === 2) controller.abort();
+        }
+    }, AbortError);
+
+    assert.deepEqual(seen, urls.slice(0, 2));
+});
+
+test('读取断点记录失败时迭代器抛出错误，并移除对外部信号的监听', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher({ ...memberRoutes, ...topicRoutes }), logger: false, rateLimit: false });
+    const checkpoint = { load: async () => { throw new Error('磁盘不可读'); }, save: async () => {} };
+    const controller = new AbortController();
+    const options = { checkpoint, signal: controller.signal, showProgress: false };
+
+    const drain = async iterator => {
+        for await (const _item of iterator) { /* 不会产出 */ }
+    };
+    await assert.rejects(drain(parser.iterateUsers(['u1'], options)), /磁盘不可读/);
+    await assert.rejects(drain(parser.iteratePages(Object.keys(memberRoutes), options)), /磁盘不可读/);
+    await assert.rejects(drain(parser.iteratePostReplies('1110001', options)), /磁盘不可读/);
+
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('iteratePostReplies 与 parseMultiPagePost 共用分页抓取，同样遵守 pageDelay', async () => {
+    const fetcher = createFixtureFetcher(topicRoutes);
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+
+    const pages = [];
+    for await (const page of parser.iteratePostReplies('1110001', { pageDelay: 50 })) {
+        pages.push(page);
+    }
+
+    assert.equal(pages[0].pagination.totalPages, 4);
+    // 第2页立即开始，第3、4页各等待一次 pageDelay
+    const times = fetcher.calls.map(call => call.time);
+    assert.ok(times[2] - times[1] >= 45);
+    assert.ok(times[3] - times[2] >= 45);
+});
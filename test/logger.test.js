@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, { createConsoleLogger, silentLogger } from '../src/index.js';
+import { createFixtureFetcher, loadFixture } from './helpers.js';
+
+/**
+ * 记录所有日志调用的日志器
+ */
+function createRecordingLogger() {
+    const records = [];
+    const logger = {};
+    for (const level of ['debug', 'info', 'warn']) {
+        logger[level] = (...args) => records.push({ level, message: args.join(' ') });
+    }
+    return { logger, records };
+}
+
+/**
+ * 在回调执行期间拦截控制台输出
+ */
+async function captureConsole(fn) {
+    const output = [];
+    const originals = { debug: console.debug, log: console.log, warn: console.warn };
+    for (const method of Object.keys(originals)) {
+        console[method] = (...args) => output.push({ method, message: args.join(' ') });
+    }
+    try {
+        await fn();
+    } finally {
+        Object.assign(console, originals);
+    }
+    return output;
+}
+
+test('自定义日志器接收所有日志并带有级别', async () => {
+    const { logger, records } = createRecordingLogger();
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/t/1060001': 'topic-multi-p1.html'
+    });
+
+    const post = await new V2exParser({ fetcher, logger }).parseMultiPagePost('1060001', { pageDelay: 0 });
+
+    assert.equal(post.complete, false);
+    assert.ok(records.some(record => record.level === 'debug' && record.message.includes('抓取第1页')));
+    assert.ok(records.some(record => record.level === 'warn' && record.message.includes('抓取第2页失败')));
+    assert.ok(records.some(record => record.level === 'info' && record.message.includes('多页抓取完成')));
+});
+
+test('Solana 地址与回复人ID的调试信息只在 debug 级别输出', async () => {
+    const { logger, records } = createRecordingLogger();
+    const parser = new V2exParser({ logger });
+
+    parser.extractSolanaAddressesWithBoundary('打赏地址 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU');
+    parser.extractReplyUserIds(loadFixture('topic-single.html'));
+
+    assert.ok(records.length > 0);
+    assert.ok(records.every(record => record.level === 'debug'));
+});
+
+test('logger: false 时不输出任何内容', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/t/1060001': 'topic-multi-p1.html'
+    });
+
+    const output = await captureConsole(async () => {
+        const parser = new V2exParser({ fetcher, logger: false });
+        parser.setBaseUrl('https://v2ex.com');
+        await parser.parseMultiPagePost('1060001', { pageDelay: 0 });
+        parser.extractSolanaAddressesWithBoundary('7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU');
+    });
+
+    assert.deepEqual(output, []);
+});
+
+test('默认日志器输出 info 及以上级别，忽略 debug', async () => {
+    const output = await captureConsole(async () => {
+        const logger = new V2exParser().logger;
+        logger.debug('调试');
+        logger.info('信息');
+        logger.warn('警告');
+    });
+
+    assert.deepEqual(output, [
+        { method: 'log', message: '信息' },
+        { method: 'warn', message: '警告' }
+    ]);
+});
+
+test('createConsoleLogger 按级别过滤，setLogger 可以替换日志器', async () => {
+    const output = await captureConsole(async () => {
+        const parser = new V2exParser({ logger: 'warn' });
+        parser.logger.info('信息');
+        parser.logger.warn('警告');
+
+        parser.setLogger('debug');
+        parser.logger.debug('调试');
+
+        parser.setLogger(silentLogger);
+        parser.logger.warn('静默');
+    });
+
+    assert.deepEqual(output, [
+        { method: 'warn', message: '警告' },
+        { method: 'debug', message: '调试' }
+    ]);
+    assert.throws(() => createConsoleLogger('verbose'), /未知的日志级别/);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import V2exParser from '../src/index.js';
+import { htmlToMarkdown } from '../src/markdown.js';
+import { loadFixture } from './helpers.js';
+
+const parser = new V2exParser({ logger: false });
+const url = 'https://v2ex.com/t/1050002';
+
+/**
+ * 将HTML片段转换为 Markdown
+ */
+function toMarkdown(html) {
+    const $ = cheerio.load(`<div id="content">${html}</div>`);
+    return htmlToMarkdown($, $('#content'), { baseUrl: 'https://v2ex.com' });
+}
+
+test('format 为 markdown 时主题正文输出 contentMarkdown', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-rich.html'), url, { format: 'markdown' });
+
+    assert.equal(post.contentMarkdown, [
+        '## 背景',
+        '',
+        '最近把爬虫迁移到了 [asyncio](https://docs.python.org/3/library/asyncio.html)，遇到一个超时的问题，之前在 [这个主题](https://v2ex.com/t/1040001) 里讨论过。',
+        '',
+        '```python',
+        'async with asyncio.timeout(10):',
+        '    await fetch(url)',
+        '```',
+        '',
+        '> 取消之后连接没有释放  ',
+        '> 内存一直涨',
+        '',
+        '- Python 3.12',
+        '- aiohttp 3.9',
+        '',
+        '![内存曲线](https://i.imgur.com/Mem0ry1.png)',
+        '',
+        '感谢 @[carol](https://v2ex.com/member/carol) 的建议，使用 `asyncio.TaskGroup` 之后好多了。'
+    ].join('\n'));
+    // 纯文本字段保持不变
+    assert.ok(post.content.startsWith('背景'));
+});
+
+test('format 为 markdown 时每条回复输出 contentMarkdown', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-rich.html'), url, { format: 'markdown' });
+    const [first, , imageOnly] = post.replies;
+
+    assert.equal(
+        first.contentMarkdown,
+        '@[alice](https://v2ex.com/member/alice) #3 说的对，参考 [aiohttp#1234](https://github.com/aio-libs/aiohttp/issues/1234)  \n' +
+        '另外 #12 楼的 `wait_for` 写法在 3.12 有坑 & 不推荐'
+    );
+    assert.equal(imageOnly.contentMarkdown, '![截图](https://i.imgur.com/AbCdEf1.png)');
+});
+
+test('默认不输出 contentMarkdown', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-rich.html'), url);
+
+    assert.equal('contentMarkdown' in post, false);
+    assert.equal(post.replies.some(reply => 'contentMarkdown' in reply), false);
+});
+
+test('嵌套列表与有序列表按层级缩进', () => {
+    assert.equal(
+        toMarkdown('<ol><li>安装依赖<ul><li>npm<br />或 pnpm</li></ul></li><li>运行</li></ol>'),
+        '1. 安装依赖\n   - npm  \n     或 pnpm\n2. 运行'
+    );
+});
+
+test('代码块中含有 ``` 时使用更长的围栏并保留缩进', () => {
+    assert.equal(
+        toMarkdown('<pre><code> indented\n```\n</code></pre>'),
+        '````\n indented\n```\n````'
+    );
+});
+
+test('行内格式、裸链接与原图链接', () => {
+    assert.equal(
+        toMarkdown('<p><strong>粗体</strong> <em>斜体</em> <del>删除</del> <a href="https://example.com">https://example.com</a></p>' +
+            '<a href="https://i.imgur.com/b.png"><img src="https://i.imgur.com/b.png" alt="" /></a><hr />' +
+            '<code>a`b</code>'),
+        '**粗体** *斜体* ~~删除~~ <https://example.com>\n\n![](https://i.imgur.com/b.png)\n\n---\n\n``a`b``'
+    );
+});
+
+test('链接地址含空格、尖括号或不成对的括号时按百分号编码', () => {
+    assert.equal(
+        toMarkdown('<p><a href="https://example.com/a b">空格</a> <a href="https://en.wikipedia.org/wiki/Go_(language)">成对</a> ' +
+            '<a href="https://example.com/x)y">不成对</a> <a href="https://example.com/a b">https://example.com/a b</a> ' +
+            '<img src="https://i.imgur.com/a b>.png" alt="图" /></p>'),
+        '[空格](https://example.com/a%20b) [成对](https://en.wikipedia.org/wiki/Go_(language)) ' +
+            '[不成对](https://example.com/x%29y) [https://example.com/a b](https://example.com/a%20b) ' +
+            '![图](https://i.imgur.com/a%20b%3E.png)'
+    );
+});
+
+test('正文中的 HTML 标签按文本输出，不会变成真正的标签', () => {
+    assert.equal(
+        toMarkdown('<p>试试 &lt;img src=x onerror=alert(1)&gt; 和 &amp;lt;</p>'),
+        '试试 \\<img src=x onerror=alert(1)\\> 和 &amp;lt;'
+    );
+});
+
+test('作者写下的 Markdown 符号被转义，代码中保持原样', () => {
+    assert.equal(
+        toMarkdown('<p>2*3*4 = 24，snake_case 和 [链接](x) ~~不是删除线~~</p><code>a*b_c</code>'),
+        '2\\*3\\*4 = 24，snake\\_case 和 \\[链接\\](x) \\~\\~不是删除线\\~\\~\n\n`a*b_c`'
+    );
+    assert.equal(
+        toMarkdown('# 不是标题<br />1. 不是列表<br />- 也不是<pre><code>*x* # y</code></pre>'),
+        '\\# 不是标题  \n1\\. 不是列表  \n\\- 也不是\n\n```\n*x* # y\n```'
+    );
+});
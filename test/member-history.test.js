@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { createFixtureFetcher, readFixture } from './helpers.js';
+
+const memberUrl = 'https://v2ex.com/member/Livid';
+const routes = {
+    [`${memberUrl}/topics`]: 'member-livid-topics-p1.html',
+    [`${memberUrl}/topics?p=2`]: 'member-livid-topics-p2.html',
+    [`${memberUrl}/replies`]: 'member-livid-replies-p1.html',
+    [`${memberUrl}/replies?p=2`]: 'member-livid-replies-p2.html'
+};
+
+test('parseUserTopics 默认只抓取第一页', async () => {
+    const fetcher = createFixtureFetcher(routes);
+    const result = await new V2exParser({ fetcher }).parseUserTopics('Livid');
+
+    assert.equal(result.type, 'member_topics');
+    assert.equal(result.username, 'Livid');
+    assert.equal(fetcher.calls.length, 1);
+    assert.deepEqual(result.statistics, { topicCount: 5, totalPages: 2, pagesFetched: 1, retries: 0 });
+});
+
+test('parseUserTopics 跟随分页抓取全部主题', async () => {
+    const fetcher = createFixtureFetcher(routes);
+    const result = await new V2exParser({ fetcher }).parseUserTopics('Livid', { pages: Infinity, delay: 0 });
+
+    assert.deepEqual(result.statistics, { topicCount: 7, totalPages: 2, pagesFetched: 2, retries: 0 });
+    assert.deepEqual(result.topics.map(topic => topic.id), [
+        '1000000', '1000001', '1000002', '1000003', '1000004', '1000005', '1000006'
+    ]);
+    assert.deepEqual(result.topics[1], {
+        id: '1000001',
+        title: 'V2EX 新功能预告',
+        url: 'https://v2ex.com/t/1000001',
+        author: { name: 'Livid', id: 'Livid', avatar: '' },
+        node: { name: 'python', title: 'Python' },
+        replyCount: '13',
+        lastReplyBy: 'bob',
+        lastTouched: '2024-01-11 12:00:00 +08:00',
+        lastTouchedText: '31 天前'
+    });
+});
+
+test('parseUserReplies 跟随分页抓取完整回复内容', async () => {
+    const fetcher = createFixtureFetcher(routes);
+    const result = await new V2exParser({ fetcher }).parseUserReplies('Livid', { pages: Infinity, delay: 0 });
+
+    assert.equal(result.type, 'member_replies');
+    assert.deepEqual(fetcher.calls.map(call => call.url), [`${memberUrl}/replies`, `${memberUrl}/replies?p=2`]);
+    assert.deepEqual(result.statistics, { replyCount: 9, totalPages: 2, pagesFetched: 2, retries: 0 });
+
+    const [first, , mention, imageOnly, escaped] = result.replies;
+    assert.equal(first.content, '谢谢反馈，已经调整。\n明天上线。');
+    assert.equal(first.time, '2024-05-20 10:00:00 +08:00');
+    assert.equal(first.topicId, '1041000');
+    assert.equal(first.topicTitle, '关于节点整理的建议');
+    assert.equal(first.topicAuthor, 'alice');
+    assert.deepEqual(first.node, { name: 'v2ex', title: 'V2EX' });
+
+    assert.equal(mention.content, '@alice 可以发邮件到 support 邮箱。');
+    assert.equal(imageOnly.content, '');
+    assert.deepEqual(imageOnly.images, [{ src: 'https://i.imgur.com/livid3.png', alt: '' }]);
+    assert.equal(escaped.content, '<script> 标签不会被渲染 & 已过滤');
+
+    assert.equal(result.replies[8].topicId, '1041008');
+});
+
+test('parseHtml 识别会员主题与回复页面', async () => {
+    const parser = new V2exParser();
+
+    const topics = await parser.parseHtml(readFixture('member-livid-topics-p2.html'), `${memberUrl}/topics?p=2`);
+    assert.equal(topics.type, 'member_topics');
+    assert.equal(topics.topics.length, 2);
+
+    const replies = await parser.parseHtml(readFixture('member-livid-replies-p2.html'), `${memberUrl}/replies?p=2`);
+    assert.equal(replies.type, 'member_replies');
+    assert.equal(replies.username, 'Livid');
+    assert.equal(replies.replies.length, 3);
+});
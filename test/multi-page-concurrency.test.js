@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { createFixtureFetcher } from './helpers.js';
+
+const topicUrl = 'https://v2ex.com/t/1110001';
+const routes = {
+    [topicUrl]: 'topic-long-p1.html',
+    [`${topicUrl}?p=2`]: 'topic-long-p2.html',
+    [`${topicUrl}?p=3`]: 'topic-long-p3.html',
+    [`${topicUrl}?p=4`]: 'topic-long-p4.html'
+};
+
+/**
+ * 包装fixture传输层：靠前的分页响应更慢，并记录同时进行中的请求数
+ */
+function createSlowFetcher(fixtureRoutes) {
+    const fixtureFetcher = createFixtureFetcher(fixtureRoutes);
+    const stats = { inFlight: 0, maxInFlight: 0 };
+
+    const fetcher = async (url, requestOptions) => {
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+        const page = Number((url.match(/\?p=(\d+)/) || [])[1] || 1);
+        await new Promise(resolve => setTimeout(resolve, (5 - page) * 15));
+        stats.inFlight--;
+        return fixtureFetcher(url, requestOptions);
+    };
+
+    return { fetcher, stats, calls: fixtureFetcher.calls };
+}
+
+test('parseMultiPagePost 并发抓取分页并按楼层顺序返回回复', async () => {
+    const { fetcher, stats } = createSlowFetcher(routes);
+    const post = await new V2exParser({ fetcher, rateLimit: false }).parseMultiPagePost('1110001', { concurrency: 3, pageDelay: 0 });
+
+    assert.equal(stats.maxInFlight, 3);
+    assert.deepEqual(post.replies.map(reply => reply.floor), ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']);
+    assert.deepEqual(post.statistics, { replyCount: 12, totalFloors: 13, totalPages: 4, pagesFetched: 4, retries: 0 });
+    assert.deepEqual(post.pagesFailed, []);
+    assert.equal(post.complete, true);
+});
+
+test('parseMultiPagePost 默认逐页抓取', async () => {
+    const { fetcher, stats } = createSlowFetcher(routes);
+    const post = await new V2exParser({ fetcher, rateLimit: false }).parseMultiPagePost('1110001', { pageDelay: 0 });
+
+    assert.equal(stats.maxInFlight, 1);
+    assert.equal(post.replies.length, 12);
+});
+
+test('parseMultiPagePost 在并发槽位的连续请求之间等待 pageDelay', async () => {
+    const { fetcher } = createSlowFetcher(routes);
+    const startedAt = Date.now();
+    await new V2exParser({ fetcher, rateLimit: false }).parseMultiPagePost('1110001', { concurrency: 2, pageDelay: 100 });
+
+    // 第2、3页立即开始，第4页需要等待一次 pageDelay
+    assert.ok(Date.now() - startedAt >= 100);
+});
+
+test('parseMultiPagePost 记录失败的分页而不是直接丢弃', async () => {
+    const { [`${topicUrl}?p=3`]: missing, ...partialRoutes } = routes;
+    const { fetcher } = createSlowFetcher(partialRoutes);
+    const post = await new V2exParser({ fetcher, rateLimit: false }).parseMultiPagePost('1110001', { concurrency: 3, pageDelay: 0 });
+
+    assert.deepEqual(post.replies.map(reply => reply.floor), ['1', '2', '3', '4', '5', '6', '10', '11', '12']);
+    assert.equal(post.pagesFailed.length, 1);
+    assert.equal(post.pagesFailed[0].page, 3);
+    assert.equal(post.pagesFailed[0].url, `${topicUrl}?p=3`);
+    assert.equal(post.pagesFailed[0].status, 404);
+    assert.match(post.pagesFailed[0].error, /404/);
+    assert.equal(post.complete, false);
+    assert.equal(post.statistics.totalPages, 4);
+    assert.equal(post.statistics.pagesFetched, 3);
+});
+
+test('parseMultiPagePost 设置 failOnPartial 时对不完整的结果抛出错误', async () => {
+    const { [`${topicUrl}?p=2`]: missingP2, [`${topicUrl}?p=4`]: missingP4, ...partialRoutes } = routes;
+    const { fetcher } = createSlowFetcher(partialRoutes);
+    const parser = new V2exParser({ fetcher, rateLimit: false });
+
+    await assert.rejects(
+        parser.parseMultiPagePost('1110001', { pageDelay: 0, failOnPartial: true }),
+        error => {
+            assert.match(error.message, /第2, 4页抓取失败/);
+            assert.deepEqual(error.pagesFailed.map(item => item.page), [2, 4]);
+            assert.equal(error.partialResult.replies.length, 6);
+            return true;
+        }
+    );
+});
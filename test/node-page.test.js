@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { createFixtureFetcher, loadFixture, readFixture } from './helpers.js';
+
+const parser = new V2exParser();
+const url = 'https://v2ex.com/go/python';
+
+test('parseNodePage 提取节点信息', async () => {
+    const node = await parser.parseNodePage(loadFixture('node-python-p1.html'), url);
+
+    assert.equal(node.type, 'node');
+    assert.equal(node.url, url);
+    assert.equal(node.name, 'python');
+    assert.equal(node.title, 'Python');
+    assert.equal(node.topicCount, '27');
+    assert.equal(node.header, '这里讨论各种 Python 语言编程话题，也包括 Django，Tornado 等框架的讨论。');
+    assert.equal(node.avatar, 'https://cdn.v2ex.com/navatar/8613/985e/90_xxlarge.png?m=1700000000');
+    assert.equal(node.pagination.totalPages, 2);
+    assert.equal(node.topics.length, 20);
+});
+
+test('parseNodePage 提取主题摘要', async () => {
+    const node = await parser.parseNodePage(loadFixture('node-python-p1.html'), url);
+
+    assert.deepEqual(node.topics[1], {
+        id: '1080001',
+        title: '求推荐异步 ORM',
+        url: 'https://v2ex.com/t/1080001',
+        author: { name: 'bob', id: 'bob', avatar: 'https://cdn.v2ex.com/avatar/bob_normal.png' },
+        node: { name: 'python', title: 'Python' },
+        replyCount: '7',
+        lastReplyBy: 'erin',
+        lastTouched: '2024-06-01 11:01:00 +08:00',
+        lastTouchedText: '2 小时前'
+    });
+
+    // 没有回复的主题
+    assert.equal(node.topics[0].replyCount, '0');
+    assert.equal(node.topics[0].lastReplyBy, '');
+});
+
+test('parseNode 默认只抓取第一页', async () => {
+    const fetcher = createFixtureFetcher({ [url]: 'node-python-p1.html' });
+    const node = await new V2exParser({ fetcher }).parseNode('python');
+
+    assert.equal(fetcher.calls.length, 1);
+    assert.equal(node.topics.length, 20);
+    assert.deepEqual(node.statistics, { topicCount: 20, totalPages: 2, pagesFetched: 1, retries: 0 });
+});
+
+test('parseNode 跟随分页抓取全部主题', async () => {
+    const fetcher = createFixtureFetcher({
+        [url]: 'node-python-p1.html',
+        [`${url}?p=2`]: 'node-python-p2.html'
+    });
+    const node = await new V2exParser({ fetcher }).parseNode('python', { pages: Infinity, delay: 0 });
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [url, `${url}?p=2`]);
+    assert.equal(node.topics.length, 27);
+    assert.equal(new Set(node.topics.map(topic => topic.id)).size, 27);
+    assert.deepEqual(node.topics[26].node, { name: 'python', title: 'Python' });
+    assert.deepEqual(node.statistics, { topicCount: 27, totalPages: 2, pagesFetched: 2, retries: 0 });
+});
+
+test('parseHtml 识别节点页面', async () => {
+    const node = await parser.parseHtml(readFixture('node-python-p2.html'), `${url}?p=2`);
+
+    assert.equal(node.type, 'node');
+    assert.equal(node.name, 'python');
+    assert.equal(node.pagination.currentPage, 2);
+    assert.equal(node.topics.length, 7);
+});
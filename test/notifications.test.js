@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, { LoginRequiredError, SessionExpiredError } from '../src/index.js';
+import { createFixtureFetcher, loadFixture, readFixture } from './helpers.js';
+
+const routes = {
+    'https://v2ex.com/notifications': 'notifications-p1.html',
+    'https://v2ex.com/notifications?p=2': 'notifications-p2.html'
+};
+
+test('parseNotificationItems 解析提醒类型、会员、主题与摘要', () => {
+    const notifications = new V2exParser().parseNotificationItems(loadFixture('notifications-p1.html'));
+
+    assert.deepEqual(notifications.map(item => item.type), ['mention', 'reply', 'thank', 'favorite', 'thank']);
+    assert.deepEqual(notifications[0], {
+        id: '19000010',
+        type: 'mention',
+        actor: { name: 'bob', avatar: 'https://cdn.v2ex.com/avatar/bob_normal.png' },
+        topicId: '1100001',
+        topicTitle: 'Python 的类型标注到底值不值得写？',
+        topicUrl: 'https://v2ex.com/t/1100001',
+        floor: '12',
+        description: 'bob 在回复 Python 的类型标注到底值不值得写？ 时提到了你',
+        excerpt: '@alice 你上次说的 mypy --strict 配置能分享一下吗？\n谢谢',
+        excerptHtml: '@alice 你上次说的 <code>mypy --strict</code> 配置能分享一下吗？<br>谢谢',
+        time: '2024-06-03 09:15:00 +08:00',
+        timeText: '12 分钟前'
+    });
+    assert.equal(notifications[1].excerpt, '香山人太多了 & 推荐阳台山');
+
+    // 收藏和感谢主题的提醒没有楼层和摘要
+    assert.equal(notifications[3].actor.name, 'erin');
+    assert.equal(notifications[3].topicId, '1100004');
+    assert.equal(notifications[3].floor, '');
+    assert.equal(notifications[3].excerpt, '');
+});
+
+test('parseNotifications 使用 cookie 抓取全部分页', async () => {
+    const fetcher = createFixtureFetcher(routes);
+    const parser = new V2exParser({ fetcher, logger: false });
+
+    const result = await parser.parseNotifications({ cookie: 'a2-token', pages: Infinity, delay: 0 });
+
+    assert.equal(result.type, 'notifications');
+    assert.equal(result.username, 'alice');
+    assert.equal(result.totalCount, '7');
+    assert.equal(result.notifications.length, 7);
+    assert.deepEqual(result.statistics, { notificationCount: 7, totalPages: 2, pagesFetched: 2, retries: 0 });
+    assert.deepEqual(result.notifications.slice(5).map(item => [item.type, item.actor.name]), [
+        ['reply', 'grace'],
+        ['mention', 'bob']
+    ]);
+    assert.ok(fetcher.calls.every(call => call.headers['Cookie'] === 'A2=a2-token'));
+
+    // 单次调用的Cookie不会留在解析器上
+    assert.equal(parser.session, null);
+});
+
+test('parseNotifications 没有Cookie时抛出 LoginRequiredError', async () => {
+    const fetcher = createFixtureFetcher(routes);
+
+    await assert.rejects(new V2exParser({ fetcher }).parseNotifications(), LoginRequiredError);
+    assert.equal(fetcher.calls.length, 0);
+});
+
+test('parseNotifications 在Cookie失效时抛出 SessionExpiredError', async () => {
+    const signedOut = readFixture('notifications-p1.html')
+        .replace(/<div class="tools">.*<\/div>/, '<div class="tools"><a href="/" class="top">首页</a><a href="/signin" class="top">登录</a></div>');
+    const fetcher = createFixtureFetcher({ 'https://v2ex.com/notifications': { body: signedOut } });
+    const parser = new V2exParser({ fetcher, session: 'expired', logger: false });
+
+    await assert.rejects(parser.parseNotifications(), SessionExpiredError);
+});
+
+test('parseHtml 识别提醒页面', async () => {
+    const result = await new V2exParser().parseHtml(readFixture('notifications-p2.html'), 'https://v2ex.com/notifications?p=2');
+
+    assert.equal(result.type, 'notifications');
+    assert.equal(result.notifications.length, 2);
+    assert.equal(result.pagination.currentPage, 2);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import V2exParser, { NotFoundError, LoginRequiredError, RestrictedError } from '../src/index.js';
+import { createFixtureFetcher, loadFixture, readFixture } from './helpers.js';
+
+const parser = new V2exParser({ logger: false });
+
+test('detectPageState 识别各种页面状态', () => {
+    assert.equal(parser.detectPageState(loadFixture('topic-single.html')), 'ok');
+    assert.equal(parser.detectPageState(loadFixture('member-livid.html')), 'ok');
+    assert.equal(parser.detectPageState(loadFixture('topic-login-required.html')), 'login_required');
+    assert.equal(parser.detectPageState(loadFixture('topic-deleted.html')), 'not_found');
+    assert.equal(parser.detectPageState(loadFixture('member-not-found.html')), 'not_found');
+    assert.equal(parser.detectPageState(loadFixture('topic-restricted.html')), 'restricted');
+    assert.equal(parser.detectPageState(loadFixture('member-banned.html')), 'banned');
+});
+
+test('正文或签名中出现提示文字时不会误判', () => {
+    const topicHtml = readFixture('topic-single.html').replace('大家都是怎么处理的？', '这个主题不存在争议，需要先登录吗？');
+    assert.equal(parser.detectPageState(cheerio.load(topicHtml)), 'ok');
+
+    const memberHtml = readFixture('member-livid.html').replace('Remember the bigger green', '我的旧号已被封禁');
+    assert.equal(parser.detectPageState(cheerio.load(memberHtml)), 'ok');
+});
+
+test('parsePostPage 与 parseUserInfoPage 返回页面状态', async () => {
+    const ok = await parser.parsePostPage(loadFixture('topic-single.html'), 'https://v2ex.com/t/1050001');
+    const wall = await parser.parsePostPage(loadFixture('topic-login-required.html'), 'https://v2ex.com/t/1090001');
+    const banned = await parser.parseUserInfoPage(loadFixture('member-banned.html'), 'https://v2ex.com/member/spammer42');
+
+    assert.equal(ok.status, 'ok');
+    assert.equal(wall.status, 'login_required');
+    assert.equal(wall.title, '');
+    assert.equal(banned.status, 'banned');
+    assert.equal(banned.username, 'spammer42');
+});
+
+test('failOnUnavailable 时对不可用的页面抛出对应错误', async () => {
+    const options = { failOnUnavailable: true };
+
+    await assert.rejects(
+        parser.parsePostHtml(readFixture('topic-deleted.html'), { ...options, url: 'https://v2ex.com/t/1049999' }),
+        error => error instanceof NotFoundError && error.url === 'https://v2ex.com/t/1049999'
+    );
+    await assert.rejects(
+        parser.parsePostHtml(readFixture('topic-login-required.html'), { ...options, url: 'https://v2ex.com/t/1090001' }),
+        LoginRequiredError
+    );
+    await assert.rejects(
+        parser.parsePostHtml(readFixture('topic-restricted.html'), { ...options, url: 'https://v2ex.com/t/1090002' }),
+        error => error instanceof RestrictedError && error.pageStatus === 'restricted'
+    );
+    await assert.rejects(
+        parser.parseUserHtml(readFixture('member-banned.html'), { ...options, url: 'https://v2ex.com/member/spammer42' }),
+        error => error instanceof RestrictedError && error.pageStatus === 'banned'
+    );
+});
+
+test('parsePost 在 failOnUnavailable 时保留错误类型', async () => {
+    const fetcher = createFixtureFetcher({ 'https://v2ex.com/t/1049999': 'topic-deleted.html' });
+    const onlineParser = new V2exParser({ fetcher, logger: false });
+
+    const post = await onlineParser.parsePost('1049999');
+    assert.equal(post.status, 'not_found');
+
+    await assert.rejects(onlineParser.parsePost('1049999', { failOnUnavailable: true }), NotFoundError);
+});
+
+test('parseMultipleUsers 不重试被封禁的会员', async () => {
+    const fetcher = createFixtureFetcher({ 'https://v2ex.com/member/spammer42': 'member-banned.html' });
+    const batchParser = new V2exParser({ fetcher, logger: false });
+
+    const [result] = await batchParser.parseMultipleUsers(['spammer42'], { delay: 0, failOnUnavailable: true });
+
+    assert.equal(fetcher.calls.length, 1);
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, 'RestrictedError');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { createFixtureFetcher, loadFixture } from './helpers.js';
+
+const parser = new V2exParser();
+
+test('detectPagination 识别单页帖子', () => {
+    assert.deepEqual(parser.detectPagination(loadFixture('topic-single.html')), {
+        hasMultiplePages: false,
+        totalPages: 1,
+        currentPage: 1,
+        pageUrls: []
+    });
+});
+
+test('detectPagination 识别多页帖子的第一页', () => {
+    const pagination = parser.detectPagination(loadFixture('topic-multi-p1.html'));
+
+    assert.equal(pagination.hasMultiplePages, true);
+    assert.equal(pagination.currentPage, 1);
+    assert.equal(pagination.totalPages, 2);
+    assert.deepEqual(pagination.pageUrls[0], { page: 2, url: '?p=2' });
+});
+
+test('detectPagination 在最后一页也能得到总页数', () => {
+    const pagination = parser.detectPagination(loadFixture('topic-multi-p2.html'));
+
+    assert.equal(pagination.currentPage, 2);
+    assert.equal(pagination.totalPages, 2);
+});
+
+test('parseMultiPagePost 合并所有页面的回复', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/t/1060001': 'topic-multi-p1.html',
+        'https://v2ex.com/t/1060001?p=2': 'topic-multi-p2.html'
+    });
+    const multiPageParser = new V2exParser({ fetcher });
+
+    const post = await multiPageParser.parseMultiPagePost('1060001');
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [
+        'https://v2ex.com/t/1060001',
+        'https://v2ex.com/t/1060001?p=2'
+    ]);
+    assert.equal(post.title, '大家觉得远程办公还能持续多久？');
+    assert.equal(post.replies.length, 123);
+    assert.deepEqual(post.replies.map(reply => Number(reply.floor)), Array.from({ length: 123 }, (_, i) => i + 1));
+    assert.deepEqual(post.statistics, { replyCount: 123, totalFloors: 124, totalPages: 2, pagesFetched: 2, retries: 0 });
+    assert.equal(post.complete, true);
+    assert.equal(post.replyUserIds.length, 17);
+    assert.deepEqual(
+        post.replies.filter(reply => reply.images.length > 0).map(reply => reply.floor),
+        ['23', '46', '69', '92', '115']
+    );
+});
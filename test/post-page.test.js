@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { loadFixture, readFixture } from './helpers.js';
+
+const parser = new V2exParser();
+const url = 'https://v2ex.com/t/1050001';
+
+test('parsePostPage 提取帖子基本信息', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-single.html'), url);
+
+    assert.equal(post.type, 'post');
+    assert.equal(post.url, url);
+    assert.equal(post.postId, '1050001');
+    assert.equal(post.title, '如何优雅地处理 asyncio 中的超时？');
+    assert.deepEqual(post.author, {
+        name: 'alice',
+        id: 'alice',
+        avatar: 'https://cdn.v2ex.com/avatar/a1b2/c3d4/20001_large.png?m=1700000000'
+    });
+    assert.equal(post.postTime, '2024-05-20 09:30:00 +08:00');
+    assert.equal(post.clickCount, '1234');
+    assert.deepEqual(post.tags, ['asyncio', 'Python']);
+});
+
+test('parsePostPage 保留正文换行并解码HTML实体', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-single.html'), url);
+
+    assert.equal(
+        post.content,
+        '最近在写爬虫，经常遇到请求卡住的情况。\n试过 asyncio.wait_for，但取消之后连接没有释放。\n\n大家都是怎么处理的？<求推荐> & 谢谢'
+    );
+});
+
+test('parsePostPage 提取回复并跳过没有内容的回复', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-single.html'), url);
+
+    assert.deepEqual(post.replies.map(reply => reply.floor), ['1', '2', '3', '5']);
+    assert.deepEqual(post.statistics, { replyCount: 4, totalFloors: 5 });
+
+    const [first, second, imageOnly, last] = post.replies;
+    assert.deepEqual(first, {
+        id: '14800001',
+        floor: '1',
+        author: {
+            name: 'bob',
+            id: 'bob',
+            avatar: 'https://cdn.v2ex.com/avatar/b0b0/b0b0/30001_normal.png?m=1700000001'
+        },
+        content: '用 asyncio.timeout() 上下文管理器，3.11 之后自带。\n连接的问题记得在 finally 里 close。',
+        contentHtml: '用 asyncio.timeout() 上下文管理器，3.11 之后自带。<br>连接的问题记得在 finally 里 close。',
+        images: [],
+        blocks: [
+            { type: 'paragraph', text: '用 asyncio.timeout() 上下文管理器，3.11 之后自带。\n连接的问题记得在 finally 里 close。' }
+        ],
+        entities: [],
+        time: '2024-05-20 09:45:01 +08:00',
+        device: 'Android',
+        solanaAddresses: [],
+        solanaDomains: []
+    });
+
+    assert.equal(second.content, '@bob 正解。顺便打个广告，打赏地址 9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM 感谢支持');
+    assert.deepEqual(second.solanaAddresses, ['9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM']);
+    assert.equal(second.device, '');
+
+    assert.equal(imageOnly.content, '');
+    assert.deepEqual(imageOnly.images, [{ src: 'https://i.imgur.com/AbCdEf1.png', alt: '截图' }]);
+    assert.equal(imageOnly.device, 'iPhone');
+
+    assert.deepEqual(last.solanaDomains, ['frank.sol']);
+});
+
+test('parsePostPage 对已删除的主题返回空内容', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-deleted.html'), 'https://v2ex.com/t/1049999');
+
+    assert.equal(post.postId, '1049999');
+    assert.equal(post.title, '');
+    assert.equal(post.author.name, '');
+    assert.equal(post.content, '');
+    assert.deepEqual(post.replies, []);
+});
+
+test('parsePostHtml 与 parseHtml 离线解析结果一致', async () => {
+    const html = readFixture('topic-single.html');
+    const fromPostHtml = await parser.parsePostHtml(html, { url });
+    const fromHtml = await parser.parseHtml(html, url);
+
+    delete fromPostHtml.parsedAt;
+    delete fromHtml.parsedAt;
+    assert.deepEqual(fromHtml, fromPostHtml);
+});
+
+test('parseHtml 拒绝无法识别的页面类型', async () => {
+    await assert.rejects(() => parser.parseHtml('<html></html>', 'https://v2ex.com/about'), /不支持的页面类型/);
+    await assert.rejects(() => parser.parseHtml('<html></html>'), /需要提供页面URL/);
+});
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, { AbortError, RateLimiter, RateLimitedError } from '../src/index.js';
+import { computeBackoff } from '../src/rate-limiter.js';
+import { createFixtureFetcher } from './helpers.js';
+
+const topicUrl = 'https://v2ex.com/t/1050001';
+
+/**
+ * 相邻两次请求的时间间隔
+ */
+function gaps(calls) {
+    return calls.slice(1).map((call, index) => call.time - calls[index].time);
+}
+
+test('令牌桶允许 burst 个请求立即发出，之后按速度补充', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+    const startedAt = Date.now();
+
+    for (let i = 0; i < 4; i++) {
+        await limiter.acquire(topicUrl);
+    }
+
+    // 第3、4个请求各需要等待约 50ms
+    assert.ok(Date.now() - startedAt >= 90);
+});
+
+test('不同主机分别限速', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 });
+    await limiter.acquire('https://v2ex.com/t/1');
+
+    const startedAt = Date.now();
+    await limiter.acquire('https://cdn.v2ex.com/avatar/a.png');
+    assert.ok(Date.now() - startedAt < 50);
+});
+
+test('按 Retry-After 暂停该主机的请求', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 100, burst: 10 });
+
+    assert.equal(limiter.record(topicUrl, { status: 429, headers: { 'retry-after': '0.2' } }), 200);
+
+    const startedAt = Date.now();
+    await limiter.acquire(topicUrl);
+    assert.ok(Date.now() - startedAt >= 190);
+});
+
+test('没有 Retry-After 时按连续失败次数指数退避，成功后重置', () => {
+    const limiter = new RateLimiter({ baseDelay: 50, jitter: 0 });
+
+    assert.equal(limiter.record(topicUrl, { status: 503 }), 50);
+    assert.equal(limiter.record(topicUrl, { status: 403 }), 100);
+    assert.equal(limiter.record(topicUrl, { status: 500 }), 200);
+    assert.equal(limiter.record(topicUrl, { status: 200 }), 0);
+    assert.equal(limiter.record(topicUrl, { status: 502 }), 50);
+
+    // 404 不是限速信号
+    assert.equal(limiter.record(topicUrl, { status: 404 }), 0);
+});
+
+test('computeBackoff 不超过 maxDelay，抖动只会缩短等待', () => {
+    assert.equal(computeBackoff(10, { baseDelay: 1000, maxDelay: 5000, jitter: 0 }), 5000);
+
+    for (let i = 0; i < 20; i++) {
+        const delay = computeBackoff(2, { baseDelay: 100, jitter: 0.5 });
+        assert.ok(delay >= 100 && delay <= 200);
+    }
+});
+
+test('同一个解析器的并发调用共用限速器', async () => {
+    const fetcher = createFixtureFetcher({
+        [topicUrl]: 'topic-single.html',
+        'https://v2ex.com/member/Livid': 'member-livid.html'
+    });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: { requestsPerSecond: 20, burst: 1 } });
+
+    await Promise.all([
+        parser.parseV2exPage(topicUrl),
+        parser.parseUserInfo('Livid'),
+        parser.parseV2exPage(topicUrl)
+    ]);
+
+    assert.equal(fetcher.calls.length, 3);
+    assert.ok(gaps(fetcher.calls).every(gap => gap >= 40));
+});
+
+test('5xx 响应之后，其他方法的请求也会等待退避结束', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/t/1': { status: 503 },
+        'https://v2ex.com/member/Livid': 'member-livid.html'
+    });
+    // 只验证限速器的退避，不重试失败的请求
+    const parser = new V2exParser({
+        fetcher,
+        logger: false,
+        rateLimit: { requestsPerSecond: 100, burst: 10, baseDelay: 150, jitter: 0 },
+        retry: false
+    });
+
+    await assert.rejects(parser.parseV2exPage('https://v2ex.com/t/1'));
+    await parser.parseUserInfo('Livid');
+
+    assert.ok(gaps(fetcher.calls)[0] >= 140);
+});
+
+test('官方API请求与页面请求共用限速器', async () => {
+    const apiUrl = 'https://v2ex.com/api/members/show.json?username=Livid';
+    const fetcher = createFixtureFetcher({
+        [topicUrl]: { status: 429, headers: { 'retry-after': '0.15' } },
+        [apiUrl]: { body: JSON.stringify({ status: 'found', username: 'Livid' }) }
+    });
+    const parser = new V2exParser({ fetcher, logger: false, retry: false });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), RateLimitedError);
+    await parser.apiClient.request('/api/members/show.json?username=Livid', { auth: false });
+
+    assert.ok(gaps(fetcher.calls)[0] >= 140);
+});
+
+test('“访问过于频繁”提示页同样触发退避', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/t/1': 'rate-limited.html',
+        [topicUrl]: 'topic-single.html'
+    });
+    // 只验证限速器的退避，不重试失败的请求
+    const parser = new V2exParser({
+        fetcher,
+        logger: false,
+        rateLimit: { requestsPerSecond: 100, burst: 10, baseDelay: 150, jitter: 0 },
+        retry: false
+    });
+
+    await assert.rejects(parser.parseV2exPage('https://v2ex.com/t/1'), RateLimitedError);
+    await parser.parseV2exPage(topicUrl);
+
+    assert.ok(gaps(fetcher.calls)[0] >= 140);
+});
+
+test('多个解析器可以共用同一个限速器，rateLimit 为 false 时不限速', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 });
+    const fetcher = createFixtureFetcher({ [topicUrl]: 'topic-single.html' });
+    const first = new V2exParser({ fetcher, logger: false, rateLimit: limiter });
+    const second = new V2exParser({ fetcher, logger: false, rateLimit: limiter });
+
+    await first.parseV2exPage(topicUrl);
+    await second.parseV2exPage(topicUrl);
+    assert.ok(gaps(fetcher.calls)[0] >= 40);
+
+    const unlimitedFetcher = createFixtureFetcher({ [topicUrl]: 'topic-single.html' });
+    const unlimited = new V2exParser({ fetcher: unlimitedFetcher, logger: false, rateLimit: false });
+    const startedAt = Date.now();
+    for (let i = 0; i < 5; i++) {
+        await unlimited.parseV2exPage(topicUrl);
+    }
+    assert.ok(Date.now() - startedAt < 500);
+});
+
+test('退避和补充令牌的等待期间中止时立即抛出 AbortError', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 });
+    await limiter.acquire(topicUrl);
+
+    // 等待补充令牌
+    const refill = new AbortController();
+    setTimeout(() => refill.abort(), 20);
+    let startedAt = Date.now();
+    await assert.rejects(limiter.acquire(topicUrl, { signal: refill.signal }), AbortError);
+    assert.ok(Date.now() - startedAt < 500);
+
+    // 主机处于退避中
+    const fetcher = createFixtureFetcher({ [topicUrl]: { status: 429, headers: { 'retry-after': '60' } } });
+    const parser = new V2exParser({ fetcher, logger: false, retry: false });
+    await assert.rejects(parser.parseV2exPage(topicUrl), RateLimitedError);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    startedAt = Date.now();
+    await assert.rejects(parser.parseV2exPage(topicUrl, { signal: controller.signal }), AbortError);
+    assert.ok(Date.now() - startedAt < 500);
+    assert.equal(fetcher.calls.length, 1);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, { parseReplyCell, parseRepliesFromPage } from '../src/index.js';
+import { createFixtureFetcher, loadFixture } from './helpers.js';
+
+const parser = new V2exParser();
+
+test('parseReplyCell 解析单条回复', () => {
+    const $ = loadFixture('topic-single.html');
+    const reply = parseReplyCell($, $('#r_14800003').get(0));
+
+    assert.equal(reply.id, '14800003');
+    assert.equal(reply.floor, '3');
+    assert.equal(reply.author.name, 'dave');
+    assert.deepEqual(reply.images, [{ src: 'https://i.imgur.com/AbCdEf1.png', alt: '截图' }]);
+});
+
+test('parseReplyCell 对没有内容也没有图片的回复返回null', () => {
+    const $ = loadFixture('topic-single.html');
+    assert.equal(parseReplyCell($, $('#r_14800004').get(0)), null);
+});
+
+test('parseRepliesFromPage 与 parsePostPage 返回相同的回复', async () => {
+    const $ = loadFixture('topic-single.html');
+    const post = await parser.parsePostPage($, 'https://v2ex.com/t/1050001');
+
+    assert.deepEqual(parseRepliesFromPage(loadFixture('topic-single.html')), post.replies);
+});
+
+test('多页帖子中每一页的回复与单独解析该页的结果一致', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/t/1060001': 'topic-multi-p1.html',
+        'https://v2ex.com/t/1060001?p=2': 'topic-multi-p2.html'
+    });
+    const post = await new V2exParser({ fetcher }).parseMultiPagePost('1060001');
+
+    const firstPage = parser.parseRepliesFromPage(loadFixture('topic-multi-p1.html'));
+    const secondPage = parser.parseRepliesFromPage(loadFixture('topic-multi-p2.html'));
+
+    assert.deepEqual(post.replies, firstPage.concat(secondPage));
+
+    // 第一页通过 parsePostPage 解析，第二页通过分页抓取解析，结构必须一致
+    const firstPagePost = await parser.parsePostPage(loadFixture('topic-multi-p1.html'), 'https://v2ex.com/t/1060001');
+    assert.deepEqual(firstPagePost.replies, firstPage);
+    assert.deepEqual(Object.keys(post.replies[0]), Object.keys(post.replies[110]));
+});
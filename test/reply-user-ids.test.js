@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import V2exParser from '../src/index.js';
+import { loadFixture } from './helpers.js';
+
+const parser = new V2exParser();
+
+test('extractReplyUserIds 优先从页面脚本中的 words 数组提取', () => {
+    assert.deepEqual(
+        parser.extractReplyUserIds(loadFixture('topic-single.html')),
+        ['bob', 'carol', 'dave', 'erin', 'frank']
+    );
+});
+
+test('extractReplyUserIds 没有脚本时从回复HTML中去重提取', () => {
+    const userIds = parser.extractReplyUserIds(loadFixture('topic-multi-p1.html'));
+
+    assert.equal(userIds.length, 17);
+    assert.equal(new Set(userIds).size, userIds.length);
+    assert.equal(userIds[0], 'olivia');
+});
+
+test('extractReplyUserIds 兼容不带 var 的 words 赋值', () => {
+    const $ = cheerio.load('<script>words = [\'a\', \'b\'];</script>');
+    assert.deepEqual(parser.extractReplyUserIds($), ['a', 'b']);
+});
+
+test('extractReplyUserIds 在没有回复的页面返回空数组', () => {
+    assert.deepEqual(parser.extractReplyUserIds(loadFixture('topic-deleted.html')), []);
+});
@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser, { NetworkError, NotFoundError, V2exError } from '../src/index.js';
+import { readFixture } from './helpers.js';
+
+const topicUrl = 'https://v2ex.com/t/1050001';
+const memberUrl = 'https://v2ex.com/member/Livid';
+
+// 重试等待很短，测试不依赖限速器
+const fastRetry = { backoff: { baseDelay: 10, jitter: 0 } };
+
+/**
+ * 创建按顺序返回响应的传输层，每个URL的响应用完后重复最后一个
+ * 响应为 Error 时抛出该错误
+ * @param {Object} sequences - URL到响应数组的映射
+ * @returns {Function} fetcher函数，请求记录在 fetcher.calls 中
+ */
+function createSequenceFetcher(sequences) {
+    const calls = [];
+
+    const fetcher = async url => {
+        calls.push({ url, time: Date.now() });
+
+        const sequence = sequences[url] || [{ status: 404 }];
+        const count = calls.filter(call => call.url === url).length;
+        const spec = sequence[Math.min(count, sequence.length) - 1];
+        if (spec instanceof Error) throw spec;
+
+        return {
+            url,
+            status: spec.status || 200,
+            headers: spec.headers || {},
+            data: spec.fixture ? readFixture(spec.fixture) : (spec.body || '')
+        };
+    };
+
+    fetcher.calls = calls;
+    return fetcher;
+}
+
+test('5xx 响应按重试策略重试，statistics.retries 记录重试次数', async () => {
+    const fetcher = createSequenceFetcher({
+        [topicUrl]: [{ status: 503 }, { status: 502 }, { fixture: 'topic-single.html' }]
+    });
+    const retries = [];
+    const parser = new V2exParser({
+        fetcher,
+        logger: false,
+        rateLimit: false,
+        retry: { ...fastRetry, onRetry: info => retries.push(info) }
+    });
+
+    const post = await parser.parseMultiPagePost('1050001');
+
+    assert.equal(fetcher.calls.length, 3);
+    assert.equal(post.statistics.retries, 2);
+    assert.deepEqual(retries.map(info => [info.url, info.attempt, info.attempts, info.delay, info.error.status]), [
+        [topicUrl, 1, 3, 10, 503],
+        [topicUrl, 2, 3, 20, 502]
+    ]);
+});
+
+test('重试次数用完后抛出最后一次的错误', async () => {
+    const fetcher = createSequenceFetcher({ [topicUrl]: [{ status: 500 }] });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: { ...fastRetry, attempts: 4 } });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), error => {
+        assert.ok(error instanceof V2exError);
+        assert.equal(error.status, 500);
+        return true;
+    });
+    assert.equal(fetcher.calls.length, 4);
+});
+
+test('404 等永久性错误和不在 statuses 中的状态码不重试', async () => {
+    const fetcher = createSequenceFetcher({ 'https://v2ex.com/t/2': [{ status: 418 }] });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl), NotFoundError);
+    await assert.rejects(parser.parseV2exPage('https://v2ex.com/t/2'), V2exError);
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), [topicUrl, 'https://v2ex.com/t/2']);
+});
+
+test('网络错误转换为 NetworkError 并重试', async () => {
+    const reset = new Error('socket hang up');
+    reset.code = 'ECONNRESET';
+    const fetcher = createSequenceFetcher({ [memberUrl]: [reset, { fixture: 'member-livid.html' }] });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+
+    const userInfo = await parser.parseUserInfo('Livid');
+    assert.equal(userInfo.username, 'Livid');
+    assert.equal(fetcher.calls.length, 2);
+
+    const failing = new V2exParser({
+        fetcher: createSequenceFetcher({ [memberUrl]: [reset] }),
+        logger: false,
+        rateLimit: false,
+        retry: false
+    });
+    await assert.rejects(failing.parseUserInfo('Livid'), NetworkError);
+});
+
+test('单次调用的 retry 选项覆盖解析器的策略，也可以自定义可重试的错误', async () => {
+    const fetcher = createSequenceFetcher({ [topicUrl]: [{ status: 503 }, { fixture: 'topic-single.html' }] });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+
+    await assert.rejects(parser.parseV2exPage(topicUrl, { retry: false }));
+    assert.equal(fetcher.calls.length, 1);
+
+    const post = await parser.parseV2exPage(topicUrl, { retry: { errors: error => error.status === 503 } });
+    assert.equal(post.postId, '1050001');
+    assert.equal(fetcher.calls.length, 2);
+});
+
+test('重试等待时间不短于 Retry-After', async () => {
+    const fetcher = createSequenceFetcher({
+        [topicUrl]: [{ status: 429, headers: { 'retry-after': '0.1' } }, { fixture: 'topic-single.html' }]
+    });
+    const delays = [];
+    const parser = new V2exParser({
+        fetcher,
+        logger: false,
+        rateLimit: false,
+        retry: { ...fastRetry, onRetry: info => delays.push(info.delay) }
+    });
+
+    await parser.parseV2exPage(topicUrl);
+
+    assert.deepEqual(delays, [100]);
+    assert.ok(fetcher.calls[1].time - fetcher.calls[0].time >= 90);
+});
+
+test('官方API请求同样按重试策略重试', async () => {
+    const apiUrl = 'https://v2ex.com/api/members/show.json?username=Livid';
+    const fetcher = createSequenceFetcher({
+        [apiUrl]: [{ status: 502 }, { body: JSON.stringify({ status: 'found', username: 'Livid' }) }]
+    });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+    const retryStats = { retries: 0 };
+
+    const data = await parser.apiClient.request('/api/members/show.json?username=Livid', { auth: false, retryStats });
+
+    assert.equal(data.username, 'Livid');
+    assert.equal(retryStats.retries, 1);
+});
+
+test('批量解析报告每个用户的重试次数和 retry 进度', async () => {
+    const fetcher = createSequenceFetcher({
+        [memberUrl]: [{ status: 503 }, { fixture: 'member-livid.html' }],
+        'https://v2ex.com/member/busy': [{ status: 429 }]
+    });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+    const statuses = [];
+
+    const results = await parser.parseMultipleUsers(['Livid', 'busy'], {
+        retryCount: 1,
+        showProgress: false,
+        onProgress: progress => statuses.push(`${progress.username}:${progress.status}`)
+    });
+
+    assert.equal(results[0].success, true);
+    assert.equal(results[0].retries, 1);
+    assert.equal(results[1].success, false);
+    assert.equal(results[1].errorType, 'RateLimitedError');
+    assert.equal(results[1].retries, 1);
+    assert.equal(results[1].retryAttempts, 2);
+    assert.deepEqual(statuses, [
+        'Livid:start', 'Livid:retry', 'Livid:success',
+        'busy:start', 'busy:retry', 'busy:error',
+        'null:complete'
+    ]);
+});
+
+test('parseMultiplePages 的结果包含每个页面的重试次数', async () => {
+    const fetcher = createSequenceFetcher({
+        [topicUrl]: [{ status: 500 }, { fixture: 'topic-single.html' }],
+        [memberUrl]: [{ fixture: 'member-livid.html' }]
+    });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+
+    const results = await parser.parseMultiplePages([topicUrl, memberUrl, 'https://v2ex.com/t/404']);
+
+    assert.deepEqual(results.map(result => [result.success, result.retries]), [[true, 1], [true, 0], [false, 0]]);
+});
+
+test('单页解析结果同样在 statistics.retries 中报告重试次数', async () => {
+    const fetcher = createSequenceFetcher({
+        [memberUrl]: [{ status: 503 }, { fixture: 'member-livid.html' }],
+        [topicUrl]: [{ status: 502 }, { status: 502 }, { fixture: 'topic-single.html' }],
+        'https://v2ex.com/?tab=tech': [{ status: 500 }, { fixture: 'tab-tech.html' }],
+        'https://v2ex.com/api/topics/hot.json': [{ status: 503 }, { body: '[]' }]
+    });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false, retry: fastRetry });
+
+    assert.equal((await parser.parseUserInfo('Livid')).statistics.retries, 1);
+    assert.equal((await parser.parsePost('1050001', { useMultiPage: false })).statistics.retries, 2);
+    assert.equal((await parser.parseTab('tech')).statistics.retries, 1);
+    assert.equal((await parser.parseHot()).statistics.retries, 1);
+    assert.equal((await parser.parseV2exPage(memberUrl)).statistics.retries, 0);
+});
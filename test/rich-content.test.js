@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { loadFixture } from './helpers.js';
+
+const parser = new V2exParser({ logger: false });
+const url = 'https://v2ex.com/t/1050002';
+
+test('主题正文解析为有序的内容块', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-rich.html'), url);
+
+    assert.deepEqual(post.blocks, [
+        { type: 'heading', level: 2, text: '背景' },
+        { type: 'paragraph', text: '最近把爬虫迁移到了 asyncio，遇到一个超时的问题，之前在 这个主题 里讨论过。' },
+        { type: 'code', language: 'python', text: 'async with asyncio.timeout(10):\n    await fetch(url)' },
+        { type: 'quote', text: '取消之后连接没有释放\n内存一直涨' },
+        { type: 'list', ordered: false, items: ['Python 3.12', 'aiohttp 3.9'] },
+        { type: 'image', src: 'https://i.imgur.com/Mem0ry1.png', alt: '内存曲线' },
+        { type: 'paragraph', text: '感谢 @carol 的建议，使用 asyncio.TaskGroup 之后好多了。' }
+    ]);
+    assert.deepEqual(post.images, [{ src: 'https://i.imgur.com/Mem0ry1.png', alt: '内存曲线' }]);
+});
+
+test('主题正文提取链接、@会员与行内代码', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-rich.html'), url);
+
+    assert.deepEqual(post.entities, [
+        { type: 'link', href: 'https://docs.python.org/3/library/asyncio.html', text: 'asyncio' },
+        { type: 'link', href: 'https://v2ex.com/t/1040001', text: '这个主题' },
+        { type: 'mention', username: 'carol', url: 'https://v2ex.com/member/carol' },
+        { type: 'code', text: 'asyncio.TaskGroup' }
+    ]);
+});
+
+test('回复提取楼层引用，代码与链接中的 # 不算楼层', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-rich.html'), url);
+    const [first, second, imageOnly] = post.replies;
+
+    assert.deepEqual(first.entities, [
+        { type: 'mention', username: 'alice', url: 'https://v2ex.com/member/alice' },
+        { type: 'floor', floor: '3', text: '#3' },
+        { type: 'link', href: 'https://github.com/aio-libs/aiohttp/issues/1234', text: 'aiohttp#1234' },
+        { type: 'floor', floor: '12', text: '#12' },
+        { type: 'code', text: 'wait_for' }
+    ]);
+    assert.deepEqual(first.blocks, [
+        { type: 'paragraph', text: '@alice #3 说的对，参考 aiohttp#1234\n另外 #12 楼的 wait_for 写法在 3.12 有坑 & 不推荐' }
+    ]);
+
+    assert.deepEqual(second.entities.map(entity => entity.type), ['mention']);
+
+    assert.deepEqual(imageOnly.blocks, [{ type: 'image', src: 'https://i.imgur.com/AbCdEf1.png', alt: '截图' }]);
+});
+
+test('已删除的主题返回空的内容模型', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-deleted.html'), 'https://v2ex.com/t/1049999');
+
+    assert.deepEqual(post.blocks, []);
+    assert.deepEqual(post.entities, []);
+    assert.deepEqual(post.images, []);
+});
+
+test('parseRichContentHtml 解析API返回的HTML片段', () => {
+    const result = parser.parseRichContentHtml('@<a href="/member/bob">bob</a> 看 #2<br /><img src="https://i.imgur.com/a.png" />');
+
+    assert.deepEqual(result, {
+        images: [{ src: 'https://i.imgur.com/a.png', alt: '' }],
+        blocks: [
+            { type: 'paragraph', text: '@bob 看 #2' },
+            { type: 'image', src: 'https://i.imgur.com/a.png', alt: '' }
+        ],
+        entities: [
+            { type: 'mention', username: 'bob', url: 'https://v2ex.com/member/bob' },
+            { type: 'floor', floor: '2', text: '#2' }
+        ]
+    });
+    assert.deepEqual(parser.parseRichContentHtml(''), { images: [], blocks: [], entities: [] });
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import V2exParser, { CookieJar, SessionExpiredError, LoginRequiredError, detectLoggedInUser } from '../src/index.js';
+import { createFixtureFetcher, readFixture } from './helpers.js';
+
+const SIGNED_OUT_TOOLS = '<a href="/" class="top">首页</a><a href="/signup" class="top">注册</a><a href="/signin" class="top">登录</a>';
+const SIGNED_IN_TOOLS = '<a href="/" class="top">首页</a><a href="/member/alice" class="top">alice</a><a href="/notes" class="top">记事本</a><a href="/settings" class="top">设置</a><a href="#;" onclick="if (confirm(\'确定要从 V2EX 登出？\')) { location.href = \'/signout?once=12345\'; }" class="top">登出</a>';
+
+/**
+ * 把fixture页面的顶栏替换为已登录状态
+ */
+function signedIn(name) {
+    return readFixture(name).replace(SIGNED_OUT_TOOLS, SIGNED_IN_TOOLS);
+}
+
+test('detectLoggedInUser 从顶栏读取登录用户名', () => {
+    assert.equal(detectLoggedInUser(cheerio.load(signedIn('member-livid.html'))), 'alice');
+    assert.equal(detectLoggedInUser(cheerio.load(readFixture('member-livid.html'))), null);
+});
+
+test('session 选项支持 A2 值、Cookie 字符串、对象与自定义容器', async () => {
+    const route = { 'https://v2ex.com/member/Livid': { body: signedIn('member-livid.html') } };
+    const cookieOf = async session => {
+        const fetcher = createFixtureFetcher(route);
+        await new V2exParser({ fetcher, session, logger: false }).parseUserInfo('Livid');
+        return fetcher.calls[0].headers['Cookie'];
+    };
+
+    assert.equal(await cookieOf('2|1:0|abc'), 'A2=2|1:0|abc');
+    assert.equal(await cookieOf('A2=abc; A2O=def'), 'A2=abc; A2O=def');
+    assert.equal(await cookieOf({ A2: 'abc' }), 'A2=abc');
+    assert.equal(await cookieOf({ getCookieString: async () => 'A2=from-jar' }), 'A2=from-jar');
+    assert.equal(await cookieOf(undefined), undefined);
+});
+
+test('会话随响应中的 Set-Cookie 更新', async () => {
+    const jar = new CookieJar({ A2: 'old', PB3_SESSION: 'x' });
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/member/Livid': {
+            body: signedIn('member-livid.html'),
+            headers: { 'set-cookie': ['A2=new; Path=/; HttpOnly', 'PB3_SESSION=; Max-Age=0; Path=/'] }
+        }
+    });
+    const parser = new V2exParser({ fetcher, session: jar, logger: false });
+
+    await parser.parseUserInfo('Livid');
+
+    assert.equal(jar.get('A2'), 'new');
+    assert.equal(jar.get('PB3_SESSION'), undefined);
+});
+
+test('checkSession 判断会话是否有效', async () => {
+    const validFetcher = createFixtureFetcher({ 'https://v2ex.com/': { body: signedIn('member-livid.html') } });
+    const expiredFetcher = createFixtureFetcher({ 'https://v2ex.com/': 'member-livid.html' });
+
+    assert.deepEqual(
+        await new V2exParser({ fetcher: validFetcher, session: 'abc' }).checkSession(),
+        { valid: true, username: 'alice' }
+    );
+    assert.deepEqual(
+        await new V2exParser({ fetcher: expiredFetcher, session: 'abc' }).checkSession(),
+        { valid: false, username: null }
+    );
+    assert.deepEqual(await new V2exParser({ fetcher: validFetcher }).checkSession(), { valid: false, username: null });
+});
+
+test('抓取过程中会话失效时抛出 SessionExpiredError', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/member/Livid': { body: signedIn('member-livid.html') },
+        'https://v2ex.com/member/alice': 'member-livid.html',
+        'https://v2ex.com/t/1090001': { url: 'https://v2ex.com/signin?next=/t/1090001', body: '' }
+    });
+    const parser = new V2exParser({ fetcher, session: 'abc', logger: false });
+
+    await parser.parseUserInfo('Livid');
+    await assert.rejects(parser.parseUserInfo('alice'), error => {
+        assert.ok(error instanceof SessionExpiredError);
+        assert.ok(error instanceof LoginRequiredError);
+        assert.equal(error.url, 'https://v2ex.com/member/alice');
+        return true;
+    });
+    await assert.rejects(parser.parsePost('1090001', { useMultiPage: false }), SessionExpiredError);
+});
+
+test('没有会话时未登录的页面照常解析', async () => {
+    const fetcher = createFixtureFetcher({ 'https://v2ex.com/member/Livid': 'member-livid.html' });
+    const userInfo = await new V2exParser({ fetcher, logger: false }).parseUserInfo('Livid');
+
+    assert.equal(userInfo.username, 'Livid');
+});
+
+test('单次调用的 session 在各个分页之间共用，前一页设置的Cookie后一页会带上', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://v2ex.com/go/python': {
+            body: signedIn('node-python-p1.html'),
+            headers: { 'set-cookie': 'PB3_SESSION=s1; Path=/; HttpOnly' }
+        },
+        'https://v2ex.com/go/python?p=2': { body: signedIn('node-python-p2.html') }
+    });
+    const parser = new V2exParser({ fetcher, logger: false, rateLimit: false });
+
+    const nodeInfo = await parser.parseNode('python', { session: 'A2=abc', pages: 2 });
+
+    assert.equal(nodeInfo.statistics.pagesFetched, 2);
+    assert.deepEqual(fetcher.calls.map(call => call.headers['Cookie']), ['A2=abc', 'A2=abc; PB3_SESSION=s1']);
+    // 不影响解析器自身的会话
+    assert.equal(parser.session, null);
+});
+
+test('登录Cookie不会发往其他主机，其他主机设置的Cookie也不会保存', async () => {
+    const fetcher = createFixtureFetcher({
+        'https://evil.example.com/member/Livid': {
+            body: readFixture('member-livid.html'),
+            headers: { 'set-cookie': ['A2=attacker; Path=/', 'A2=attacker; Domain=v2ex.com; Path=/'] }
+        },
+        'https://v2ex.com/member/Livid': { body: signedIn('member-livid.html') }
+    });
+    const parser = new V2exParser({ fetcher, session: 'SECRET', logger: false, rateLimit: false });
+
+    const results = await parser.parseMultiplePages(['https://evil.example.com/member/Livid', 'https://v2ex.com/member/Livid']);
+
+    assert.deepEqual(results.map(result => result.success), [true, true]);
+    assert.equal(fetcher.calls[0].headers['Cookie'], undefined);
+    assert.equal(fetcher.calls[1].headers['Cookie'], 'A2=SECRET');
+    assert.deepEqual(parser.session.matching().map(cookie => [cookie.name, cookie.value, cookie.domain]), [['A2', 'SECRET', 'v2ex.com']]);
+});
+
+test('CookieJar 按域名保存和发送Cookie', async () => {
+    const jar = new CookieJar();
+
+    await jar.setCookie('A2=abc; Domain=.v2ex.com; Path=/', 'https://www.v2ex.com/t/1');
+    await jar.setCookie('PB3_SESSION=s1; Path=/', 'https://v2ex.com/t/1');
+    await jar.setCookie('A2=forged; Domain=v2ex.com', 'https://evil.example.com/');
+    await jar.setCookie('tracker=1', 'https://evil.example.com/');
+
+    assert.equal(await jar.getCookieString('https://v2ex.com/'), 'A2=abc; PB3_SESSION=s1');
+    // 带 Domain 的Cookie发往子域名，不带 Domain 的只发往设置它的主机
+    assert.equal(await jar.getCookieString('https://cdn.v2ex.com/'), 'A2=abc');
+    assert.equal(await jar.getCookieString('https://evil.example.com/'), 'tracker=1');
+    assert.equal(await jar.getCookieString('https://example.org/'), '');
+});
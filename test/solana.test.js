@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { loadFixture } from './helpers.js';
+
+const parser = new V2exParser();
+const address = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+test('isValidSolanaAddress 校验长度与Base58字符', () => {
+    assert.equal(parser.isValidSolanaAddress(address), true);
+    assert.equal(parser.isValidSolanaAddress('0WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM'), false);
+    assert.equal(parser.isValidSolanaAddress('9WzDXwBbmkg8'), false);
+    assert.equal(parser.isValidSolanaAddress('12345678901234567890123456789012'), false);
+    assert.equal(parser.isValidSolanaAddress(null), false);
+});
+
+test('extractSolanaAddressesWithBoundary 允许中文作为边界并去重', () => {
+    const text = `地址：${address}，重复一次 ${address}`;
+    assert.deepEqual(parser.extractSolanaAddressesWithBoundary(text), [address]);
+});
+
+test('extractSolanaAddressesWithBoundary 忽略URL中的字符串', () => {
+    const text = `看这里 https://solscan.io/account/${address}`;
+    assert.deepEqual(parser.extractSolanaAddressesWithBoundary(text), []);
+});
+
+test('removeUrlTransactionSignatures 移除交易签名链接', () => {
+    const signature = '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW';
+    const text = `交易 https://solscan.io/tx/${signature} 已确认`;
+
+    const sanitized = parser.removeUrlTransactionSignatures(text);
+    assert.equal(sanitized.includes(signature), false);
+    assert.equal(parser.removeUrlTransactionSignatures(''), '');
+});
+
+test('extractSolanaDomainsFromText 只匹配独立的 .sol 域名', () => {
+    assert.deepEqual(parser.extractSolanaDomainsFromText('我的域名 frank.sol 和 bob.sol 还有 frank.sol'), ['frank.sol', 'bob.sol']);
+    assert.deepEqual(parser.extractSolanaDomainsFromText('不是域名：x.solana'), []);
+    assert.equal(parser.extractSolanaDomain('域名 test-1.sol'), 'test-1.sol');
+    assert.equal(parser.extractSolanaDomain(''), null);
+});
+
+test('extractSolanaAddressesFromText 同时返回地址和域名', () => {
+    assert.deepEqual(parser.extractSolanaAddressesFromText(`打赏 ${address}`), {
+        solanaAddresses: [address],
+        solanaDomains: []
+    });
+    assert.deepEqual(parser.extractSolanaAddressesFromText('域名 frank.sol'), {
+        solanaAddresses: [],
+        solanaDomains: ['frank.sol']
+    });
+    assert.deepEqual(parser.extractSolanaAddressesFromText(''), { solanaAddresses: [], solanaDomains: [] });
+});
+
+test('extractSolanaAddress 从会员页面脚本中提取地址', () => {
+    assert.deepEqual(parser.extractSolanaAddress(loadFixture('member-livid.html')), {
+        solanaAddress: '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU',
+        solanaDomain: 'livid.sol'
+    });
+});
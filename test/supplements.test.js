@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import V2exParser from '../src/index.js';
+import { loadFixture } from './helpers.js';
+
+const parser = new V2exParser({ logger: false });
+const url = 'https://v2ex.com/t/1050003';
+
+test('parsePostPage 提取附言', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-supplements.html'), url);
+
+    assert.deepEqual(post.supplements, [
+        {
+            index: 1,
+            time: '2024-05-20 11:00:00 +08:00',
+            content: '已经发布到 PyPI：pip install aiolimit',
+            contentHtml: '已经发布到 PyPI：<code>pip install aiolimit</code>'
+        },
+        {
+            index: 2,
+            time: '2024-05-20 13:30:00 +08:00',
+            content: '感谢 @bob 的反馈，修复了取消时的泄漏。\n支持 Python 3.12',
+            contentHtml: post.supplements[1].contentHtml
+        }
+    ]);
+    assert.match(post.supplements[1].contentHtml, /^<div class="markdown_body">/);
+});
+
+test('正文不包含附言内容', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-supplements.html'), url);
+
+    assert.equal(post.content, '基于令牌桶实现，支持按域名限流。\n代码在 GitHub，欢迎试用。');
+    assert.deepEqual(post.entities, [
+        { type: 'link', href: 'https://github.com/alice/aiolimit', text: 'GitHub' }
+    ]);
+});
+
+test('没有正文只有附言的主题，正文为空', async () => {
+    const $ = cheerio.load(`
+        <div class="header"><a href="/go/qna">问与答</a><h1>如题</h1></div>
+        <div class="subtle">
+            <span class="fade">第 1 条附言 &nbsp;·&nbsp; <span title="2024-05-21 08:00:00 +08:00">1 小时前</span></span>
+            <div class="topic_content">补充一下背景</div>
+        </div>
+    `);
+    const post = await parser.parsePostPage($, 'https://v2ex.com/t/1');
+
+    assert.equal(post.content, '');
+    assert.deepEqual(post.supplements.map(supplement => supplement.content), ['补充一下背景']);
+});
+
+test('parsePostPage 提取节点、收藏与感谢次数和最后编辑时间', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-supplements.html'), url);
+
+    assert.deepEqual(post.node, { name: 'create', title: '分享创造', slug: 'create' });
+    assert.equal(post.postTime, '2024-05-20 09:30:00 +08:00');
+    assert.deepEqual(post.lastEdited, { time: '2024-05-20 10:10:00 +08:00', timeText: '4 小时前' });
+    assert.equal(post.clickCount, '1234');
+    assert.equal(post.favoriteCount, '56');
+    assert.equal(post.thankCount, '7');
+});
+
+test('没有编辑过、没有感谢的主题', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-single.html'), 'https://v2ex.com/t/1050001');
+
+    assert.deepEqual(post.node, { name: 'python', title: 'Python', slug: 'python' });
+    assert.equal(post.lastEdited, null);
+    assert.equal(post.favoriteCount, '5');
+    assert.equal(post.thankCount, '0');
+    assert.deepEqual(post.supplements, []);
+});
+
+test('format 为 markdown 时附言输出 contentMarkdown', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-supplements.html'), url, { format: 'markdown' });
+
+    assert.deepEqual(post.supplements.map(supplement => supplement.contentMarkdown), [
+        '已经发布到 PyPI：`pip install aiolimit`',
+        '感谢 @[bob](https://v2ex.com/member/bob) 的反馈，修复了取消时的泄漏。\n\n- 支持 Python 3.12'
+    ]);
+});
+
+test('帖子的 node 与主题列表结构相同，name 可以直接传给 parseNode', async () => {
+    const post = await parser.parsePostPage(loadFixture('topic-single.html'), 'https://v2ex.com/t/1050001');
+    const nodeInfo = await parser.parseNodePage(loadFixture('node-python-p1.html'), 'https://v2ex.com/go/python');
+
+    assert.equal(post.node.name, 'python');
+    assert.deepEqual(Object.keys(nodeInfo.topics[0].node), ['name', 'title']);
+    assert.deepEqual({ name: post.node.name, title: post.node.title }, nodeInfo.topics[0].node);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import V2exParser from '../src/index.js';
+import { extractText } from '../src/text.js';
+
+const parser = new V2exParser({ logger: false });
+
+/**
+ * 提取HTML片段的纯文本
+ */
+function textOf(html) {
+    const $ = cheerio.load(`<div id="content">${html}</div>`);
+    return extractText($, $('#content'));
+}
+
+test('解码数字实体与命名实体', () => {
+    assert.equal(
+        textOf('It&#39;s &quot;ok&quot; &amp; 路径 a&#x2F;b&#x2f;c &lt;tag&gt; 等等&hellip; &mdash; &copy; &#128640;'),
+        'It\'s "ok" & 路径 a/b/c <tag> 等等… — © 🚀'
+    );
+});
+
+test('块级元素之间换行，段内源码换行合并为空格', () => {
+    assert.equal(
+        textOf('<h2>标题</h2>\n<p>第一段\n  接着写</p><p>第二段 👍</p><ul>\n<li>苹果</li>\n<li>香蕉</li>\n</ul><blockquote><p>引用</p></blockquote>结尾'),
+        '标题\n第一段 接着写\n第二段 👍\n苹果\n香蕉\n引用\n结尾'
+    );
+});
+
+test('<br> 换行，连续空行最多保留一行，&nbsp; 视为空格', () => {
+    assert.equal(
+        textOf('  大家好&nbsp;&nbsp;😀<br />\n<br /><br /><br />\n  第二行<br />'),
+        '大家好 😀\n\n第二行'
+    );
+});
+
+test('代码块原样保留缩进和换行', () => {
+    assert.equal(
+        textOf('<p>示例：</p><pre><code>def f():\n    return "你好 &amp; 🌏"\n</code></pre><p>完</p>'),
+        '示例：\ndef f():\n    return "你好 & 🌏"\n完'
+    );
+});
+
+test('忽略脚本与样式，没有元素时返回空字符串', () => {
+    assert.equal(textOf('正文<script>alert(1)</script><style>p{}</style>'), '正文');
+
+    const $ = cheerio.load('<div></div>');
+    assert.equal(extractText($, $('.missing')), '');
+});
+
+test('主题正文与回复使用同一套文本提取', async () => {
+    const $ = cheerio.load(`
+        <div class="header"><h1>实体测试</h1></div>
+        <div class="topic_content"><div class="markdown_body"><p>Tom&#39;s 笔记&hellip;</p><ol><li>第一步 🚀</li><li>第二步</li></ol></div></div>
+        <div id="r_1" class="cell">
+            <strong><a href="/member/bob" class="dark">bob</a></strong><span class="ago" title="2024-05-20 10:00:00 +08:00">1 小时前</span><span class="no">1</span>
+            <div class="reply_content">路径是 a&#x2F;b&nbsp;&nbsp;对吗？<br />😂 &hellip;</div>
+        </div>
+    `);
+    const post = await parser.parsePostPage($, 'https://v2ex.com/t/1');
+
+    assert.equal(post.content, 'Tom\'s 笔记…\n第一步 🚀\n第二步');
+    assert.equal(post.replies[0].content, '路径是 a/b 对吗？\n😂 …');
+    assert.equal(parser.htmlToText('Tom&#39;s<br />🎉 &hellip;'), 'Tom\'s\n🎉 …');
+});
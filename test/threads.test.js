@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { createFixtureFetcher, loadFixture } from './helpers.js';
+
+const topicUrl = 'https://v2ex.com/t/1120001';
+const routes = {
+    [topicUrl]: 'topic-thread-p1.html',
+    [`${topicUrl}?p=2`]: 'topic-thread-p2.html'
+};
+
+test('合并分页后按 @会员 和 #楼层引用 还原每条回复的上级', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(routes), logger: false });
+    const post = await parser.parseMultiPagePost('1120001', { pageDelay: 0, threads: true });
+
+    assert.deepEqual(post.replies.map(reply => [reply.floor, reply.replyTo]), [
+        ['1', null],
+        ['2', { floor: '1', author: 'bob', via: 'mention' }],
+        ['3', null],
+        ['4', { floor: '2', author: 'carol', via: 'floor' }],
+        ['5', { floor: '4', author: 'bob', via: 'floor' }],
+        ['6', { floor: '3', author: 'dave', via: 'mention' }],
+        // 跨页引用
+        ['7', { floor: '6', author: 'erin', via: 'floor' }],
+        // @楼主，但楼主在此之前没有回复
+        ['8', null],
+        ['9', { floor: '8', author: 'frank', via: 'floor' }],
+        // #3 是 dave 的回复，与 @carol 不一致时按 @ 找 carol 最近的回复
+        ['10', { floor: '5', author: 'carol', via: 'mention' }],
+        // 链接锚点和不存在的楼层不算引用
+        ['11', null]
+    ]);
+});
+
+test('threads 输出以直接回复主题的回复为根的对话树', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(routes), logger: false });
+    const post = await parser.parseMultiPagePost('1120001', { pageDelay: 0, threads: true });
+
+    const shape = nodes => nodes.map(node => [node.floor, node.author, shape(node.children)]);
+    assert.deepEqual(shape(post.threads), [
+        ['1', 'bob', [['2', 'carol', [['4', 'bob', [['5', 'carol', [['10', 'bob', []]]]]]]]]],
+        ['3', 'dave', [['6', 'erin', [['7', 'dave', []]]]]],
+        ['8', 'frank', [['9', 'alice', []]]],
+        ['11', 'carol', []]
+    ]);
+    assert.equal(post.threads[0].id, '17000001');
+});
+
+test('interactions 统计会员之间的回复次数', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(routes), logger: false });
+    const post = await parser.parseMultiPagePost('1120001', { pageDelay: 0, threads: true });
+
+    assert.deepEqual(post.interactions, [
+        { from: 'carol', to: 'bob', count: 2, floors: ['2', '5'] },
+        { from: 'bob', to: 'carol', count: 2, floors: ['4', '10'] },
+        { from: 'erin', to: 'dave', count: 1, floors: ['6'] },
+        { from: 'dave', to: 'erin', count: 1, floors: ['7'] },
+        { from: 'alice', to: 'frank', count: 1, floors: ['9'] }
+    ]);
+});
+
+test('单页解析同样支持 threads，默认不输出', async () => {
+    const parser = new V2exParser({ logger: false });
+    const post = await parser.parsePostPage(loadFixture('topic-thread-p1.html'), topicUrl, { threads: true });
+
+    assert.deepEqual(post.replies.map(reply => reply.replyTo && reply.replyTo.floor), [null, '1', null, '2', '4', '3']);
+    assert.equal(post.threads.length, 2);
+
+    const plain = await parser.parsePostPage(loadFixture('topic-thread-p1.html'), topicUrl);
+    assert.equal('threads' in plain, false);
+    assert.equal('interactions' in plain, false);
+    assert.equal(plain.replies.some(reply => 'replyTo' in reply), false);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { createFixtureFetcher, readFixture } from './helpers.js';
+
+const routes = {
+    'https://v2ex.com/?tab=tech': 'tab-tech.html',
+    'https://v2ex.com/recent': 'recent-p1.html',
+    'https://v2ex.com/recent?p=2': 'recent-p2.html',
+    'https://v2ex.com/api/topics/hot.json': 'hot.json'
+};
+
+test('parseTab 解析标签页主题及所属节点', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(routes) });
+    const tab = await parser.parseTab('tech');
+
+    assert.equal(tab.type, 'tab');
+    assert.equal(tab.name, 'tech');
+    assert.equal(tab.title, '技术');
+    assert.equal(tab.topics.length, 12);
+    assert.deepEqual(tab.topics[1], {
+        id: '1090001',
+        title: '新买的 MacBook 电池问题',
+        url: 'https://v2ex.com/t/1090001',
+        author: { name: 'bob', id: 'bob', avatar: 'https://cdn.v2ex.com/avatar/bob_normal.png' },
+        node: { name: 'programmer', title: '程序员' },
+        replyCount: '5',
+        lastReplyBy: 'grace',
+        lastTouched: '2024-06-03 19:07:00 +08:00',
+        lastTouchedText: '4 分钟前'
+    });
+});
+
+test('parseRecent 默认只抓取第一页', async () => {
+    const fetcher = createFixtureFetcher(routes);
+    const recent = await new V2exParser({ fetcher }).parseRecent();
+
+    assert.equal(recent.type, 'recent');
+    assert.equal(recent.title, '最近的主题');
+    assert.equal(fetcher.calls.length, 1);
+    assert.deepEqual(recent.statistics, { topicCount: 10, totalPages: 2, pagesFetched: 1, retries: 0 });
+});
+
+test('parseRecent 跟随分页抓取', async () => {
+    const fetcher = createFixtureFetcher(routes);
+    const recent = await new V2exParser({ fetcher }).parseRecent({ pages: 5, delay: 0 });
+
+    assert.deepEqual(fetcher.calls.map(call => call.url), ['https://v2ex.com/recent', 'https://v2ex.com/recent?p=2']);
+    assert.deepEqual(recent.statistics, { topicCount: 14, totalPages: 2, pagesFetched: 2, retries: 0 });
+    assert.equal(recent.topics[13].id, '1100013');
+});
+
+test('parseHot 将 hot.json 转换为相同的主题摘要结构', async () => {
+    const parser = new V2exParser({ fetcher: createFixtureFetcher(routes) });
+    const hot = await parser.parseHot();
+
+    assert.equal(hot.type, 'hot');
+    assert.equal(hot.topics.length, 2);
+    assert.deepEqual(hot.topics[0], {
+        id: '1095001',
+        title: '记录一次线上事故排查',
+        url: 'https://v2ex.com/t/1095001',
+        author: { name: 'bob', id: 'bob', avatar: 'https://cdn.v2ex.com/avatar/bob_normal.png' },
+        node: { name: 'programmer', title: '程序员' },
+        replyCount: '187',
+        lastReplyBy: 'carol',
+        lastTouched: '2024-06-03 10:00:00 +08:00',
+        lastTouchedText: ''
+    });
+    assert.equal(hot.topics[1].replyCount, '0');
+});
+
+test('parseHtml 识别标签页与最近主题页面', async () => {
+    const parser = new V2exParser();
+
+    const tab = await parser.parseHtml(readFixture('tab-tech.html'), 'https://v2ex.com/?tab=tech');
+    assert.equal(tab.type, 'tab');
+
+    const recent = await parser.parseHtml(readFixture('recent-p2.html'), 'https://v2ex.com/recent?p=2');
+    assert.equal(recent.type, 'recent');
+    assert.equal(recent.pagination.currentPage, 2);
+    assert.equal(recent.topics.length, 4);
+});
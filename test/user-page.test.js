@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import V2exParser from '../src/index.js';
+import { loadFixture, readFixture } from './helpers.js';
+
+const parser = new V2exParser();
+const url = 'https://v2ex.com/member/Livid';
+
+test('parseUserInfoPage 提取会员基本信息', async () => {
+    const user = await parser.parseUserInfoPage(loadFixture('member-livid.html'), url);
+
+    assert.equal(user.type, 'user_info');
+    assert.equal(user.url, url);
+    assert.equal(user.username, 'Livid');
+    assert.equal(user.userId, 'Livid');
+    assert.equal(user.memberId, '1');
+    assert.equal(user.avatar, 'https://cdn.v2ex.com/avatar/c4ca/4238/1_xlarge.png?m=1657258945');
+    assert.equal(user.signature, 'Remember the bigger green');
+    assert.match(user.joinTime, /^2010-04-25 21:45:46/);
+    assert.equal(user.activeRank, '12');
+    assert.equal(user.isPro, true);
+    assert.ok(!Number.isNaN(Date.parse(user.parsedAt)));
+});
+
+test('parseUserInfoPage 识别社交链接', async () => {
+    const user = await parser.parseUserInfoPage(loadFixture('member-livid.html'), url);
+
+    assert.deepEqual(user.socialLinks, {
+        github: { url: 'https://github.com/livid', username: 'livid' },
+        twitter: { url: 'https://x.com/livid', username: 'livid' },
+        telegram: { url: 'https://telegram.me/livid', username: 'livid' },
+        location: { url: 'http://www.google.com/maps?q=San%20Francisco', location: 'San Francisco' },
+        website: { url: '/go/v2ex', name: 'V2EX' }
+    });
+});
+
+test('parseUserInfoPage 提取Solana地址和域名', async () => {
+    const user = await parser.parseUserInfoPage(loadFixture('member-livid.html'), url);
+
+    assert.equal(user.solanaAddress, '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU');
+    assert.equal(user.solanaDomain, 'livid.sol');
+});
+
+test('parseUserInfoPage 提取最近回复并跳过空回复', async () => {
+    const user = await parser.parseUserInfoPage(loadFixture('member-livid.html'), url);
+
+    assert.equal(user.recentReplies.length, 2);
+    assert.deepEqual(user.recentReplies[0], {
+        time: '2024-05-20 10:11:12 +08:00',
+        content: '谢谢反馈，已经调整。\n明天上线。',
+        contentHtml: '谢谢反馈，已经调整。<br>明天上线。',
+        images: [],
+        topicId: '1041234',
+        topicUrl: 'https://v2ex.com/t/1041234',
+        topicTitle: '关于节点整理的建议',
+        topicAuthor: 'alice',
+        node: { name: 'v2ex', title: 'V2EX' }
+    });
+    assert.equal(user.recentReplies[1].content, '<GIL> 终于可以关掉了 & 期待 "nogil"');
+});
+
+test('parseUserHtml 与 parseHtml 离线解析结果一致', async () => {
+    const html = readFixture('member-livid.html');
+    const fromUserHtml = await parser.parseUserHtml(html, { url });
+    const fromHtml = await parser.parseHtml(html, url);
+
+    delete fromUserHtml.parsedAt;
+    delete fromHtml.parsedAt;
+    assert.deepEqual(fromHtml, fromUserHtml);
+});